@@ -0,0 +1,2996 @@
+/**
+ * Strict FAQ Generator engine
+ * DOM-free text analysis, FAQ generation and verification, shared by the browser UI
+ * in index.js and usable from Node, build pipelines and tests:
+ *
+ *     import { generateFAQs } from './faq-engine.mjs';
+ *     const { faqs } = generateFAQs(text, { count: 5 });
+ *
+ * Plain text, Markdown and JSON files parse anywhere; PDF, DOCX and HTML files need
+ * pdf.js, Mammoth and a DOMParser, which the browser page provides.
+ */
+
+// ===================================
+// CONFIGURATION
+// ===================================
+// Past participles for the passive question templates: regular -ed forms and common irregular ones
+const PAST_PARTICIPLE = String.raw`(?:\w{2,}ed|made|done|kept|held|sent|paid|built|given|taken|written|chosen|shown|seen|known|told|found|left|sold|bought|brought|taught|lost|spent|shut|led|met|won|worn|drawn|grown|thrown|broken|spoken|stolen|frozen|hidden|forbidden|forgotten|driven|bound|understood|withheld)`;
+
+const CONFIG = {
+    MIN_SENTENCES: 5,
+    FAQ_COUNT: 5,
+    FAQ_COUNT_MIN: 1,
+    FAQ_COUNT_MAX: 30,
+    AUTO_FAQ_MIN: 3,
+    AUTO_FAQ_MAX: 30,
+    // How many key topics to extract
+    TOPIC_LIMIT: 15,
+    // English words that can't start or end a topic, nor be one: prepositions and quantifiers
+    // the stop words miss, and numbers written out (digits are caught in any language)
+    TOPIC_EDGE_WORDS: new Set([
+        'per', 'via', 'about', 'into', 'onto', 'over', 'under', 'after', 'before', 'during', 'within',
+        'without', 'through', 'between', 'across', 'upon', 'up', 'out', 'off', 'least', 'any', 'many',
+        'much', 'several', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+        'eleven', 'twelve', 'twenty', 'thirty', 'fifty', 'hundred', 'thousand', 'million', 'first', 'second', 'third'
+    ]),
+    MIN_SENTENCE_LENGTH: 20,
+    SUPPORTED_EXTENSIONS: ['txt', 'text', 'pdf', 'docx', 'md', 'json', 'html', 'htm'],
+    // Joins uploaded files into one corpus; a blank line is always a sentence boundary
+    DOCUMENT_SEPARATOR: '\n\n',
+    // PDF lines this much larger than body text are headings; gaps this many line heights start a paragraph
+    PDF_HEADING_SCALE: 1.15,
+    PDF_PARAGRAPH_GAP: 1.6,
+    // Web page chrome dropped before looking for the main content
+    HTML_BOILERPLATE_TAGS: 'script, style, noscript, template, iframe, object, embed, svg, canvas, form, button, select, input, textarea, nav, aside, footer, dialog',
+    HTML_BOILERPLATE_ROLES: '[role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [role="search"], [aria-hidden="true"], [hidden]',
+    HTML_BOILERPLATE_NAMES: /(?:^|[\s_-])(?:nav|navbar|menu|breadcrumbs?|footer|sidebar|cookies?|banner|share|social|related|comments?|subscribe|newsletter|skip|pagination|promo|ads?|advert)(?:$|[\s_-])/i,
+    // JSON keys treated as titles when no mapping is given
+    JSON_TITLE_KEYS: /^(?:title|name|heading|subject|question|label)$/i,
+    // Words ending in a period that do not end a sentence (matched case-insensitively)
+    ABBREVIATIONS: [
+        'Mr.', 'Mrs.', 'Ms.', 'Dr.', 'Prof.', 'Sr.', 'Jr.', 'St.', 'Mt.', 'Gen.', 'Col.', 'Capt.', 'Lt.', 'Rev.',
+        'Inc.', 'Ltd.', 'Co.', 'Corp.', 'Dept.', 'Univ.', 'Assn.', 'Bros.', 'etc.', 'e.g.', 'i.e.', 'vs.',
+        'cf.', 'al.', 'approx.', 'est.', 'min.', 'max.', 'No.', 'Nos.', 'Fig.', 'Figs.', 'Vol.', 'Ch.',
+        'Sec.', 'Art.', 'p.', 'pp.', 'ed.', 'eds.', 'Jan.', 'Feb.', 'Mar.', 'Apr.', 'Jun.', 'Jul.', 'Aug.',
+        'Sep.', 'Sept.', 'Oct.', 'Nov.', 'Dec.', 'Mon.', 'Tue.', 'Wed.', 'Thu.', 'Fri.', 'Sat.', 'Sun.'
+    ],
+    // Abbreviations that may also close a sentence; they end one when a capitalised word follows
+    SENTENCE_FINAL_ABBREVIATIONS: new Set([
+        'etc.', 'usw.', 'inc.', 'ltd.', 'co.', 'corp.', 'bros.', 'min.', 'max.', 'approx.', 'est.'
+    ]),
+    // Abbreviations only in front of a number: "No. 5", but "No. Staff must..." ends a sentence
+    NUMBER_ABBREVIATIONS: new Set(['no.', 'nos.']),
+    // Capitalised words that start a sentence rather than continue a name, on top of the stop words:
+    // "the U.S. Our office" splits, "the U.S. Army" does not
+    SENTENCE_OPENERS: [
+        'our', 'your', 'their', 'his', 'her', 'my', 'if', 'after', 'before', 'since', 'although', 'though',
+        'while', 'during', 'unless', 'then', 'however', 'please', 'any', 'many', 'there', 'because'
+    ],
+    STOP_WORDS: new Set([
+        'a', 'an', 'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
+        'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'been',
+        'be', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would',
+        'could', 'should', 'may', 'might', 'must', 'shall', 'can', 'need',
+        'it', 'its', 'this', 'that', 'these', 'those', 'i', 'you', 'he',
+        'she', 'we', 'they', 'what', 'which', 'who', 'whom', 'when', 'where',
+        'why', 'how', 'all', 'each', 'every', 'both', 'few', 'more', 'most',
+        'other', 'some', 'such', 'no', 'nor', 'not', 'only', 'own', 'same',
+        'so', 'than', 'too', 'very', 'just', 'also', 'now', 'here', 'there'
+    ]),
+    // Named groups fill {slots}; {do} and {base} are derived from the verb for agreement.
+    // Specific patterns come first: the earliest match in the sentence wins, ties go to list order.
+    // Passives ("is stored", "should never be shared") get their own templates; 'ability' and 'definition'
+    // pass over them, since asking what the subject does or is would misread them.
+    // "is defined as" still reads as a definition.
+    QUESTION_PATTERNS: [
+        { id: 'responsibility', pattern: /^(?<subject>.+?)\s+(?<verb>is|are|was|were)\s+responsible\s+for\s+(?<object>.+)$/i, template: 'What {verb} {subject} responsible for?' },
+        { id: 'obligation', pattern: /^(?<subject>.+?)\s+(?<verb>is|are|was|were)\s+(?<status>required|expected|obliged|allowed|permitted)\s+to\s+(?<action>\w+)\s*(?<object>.*)$/i, template: 'What {verb} {subject} {status} to {action}?' },
+        { id: 'importance', pattern: /^(?<subject>.+?)\s+(?<verb>is|are|was|were)\s+(?<quality>essential|important|critical|crucial|vital|necessary|mandatory)\b\s*(?<object>.*)$/i, template: 'Why {verb} {subject} {quality}?' },
+        { id: 'eligibility', pattern: /^(?<subject>.+?)\s+(?<verb>is|are|was|were)\s+eligible\b\s*(?<object>.*)$/i, template: 'When {verb} {subject} eligible?' },
+        { id: 'scope', pattern: /^(?<subject>.+?)\s+(?:(?<modal>can|could|may|might|must|should|shall|will|would)\s+)?(?<verb>appl(?:y|ies|ied)\s+to)\s+(?<object>.+)$/i, template: 'Who {do} {subject} {base}?' },
+        { id: 'requirement', pattern: /^(?<subject>.+?)\s+(?:(?<modal>can|could|may|might|must|should|shall|will|would)\s+)?(?<verb>requires?|required|needs?|needed)\s+(?<object>.+)$/i, template: 'What {do} {subject} {base}?' },
+        { id: 'provision', pattern: /^(?<subject>.+?)\s+(?:(?<modal>can|could|may|might|must|should|shall|will|would)\s+)?(?<verb>provides?|provided|offers?|offered|gives?|gave)\s+(?<object>.+)$/i, template: 'What {do} {subject} {base}?' },
+        { id: 'inclusion', pattern: /^(?<subject>.+?)\s+(?:(?<modal>can|could|may|might|must|should|shall|will|would)\s+)?(?<verb>includes?|included|contains?|contained|covers?|covered|consists?\s+of|consisted\s+of)\s+(?<object>.+)$/i, template: 'What {do} {subject} {base}?' },
+        { id: 'cause', pattern: /^(?<subject>.+?)\s+(?:(?<modal>can|could|may|might|must|should|shall|will|would)\s+)?(?<verb>causes?|caused|leads?\s+to|led\s+to|results?\s+in|resulted\s+in)\s+(?<object>.+)$/i, template: 'What {do} {subject} {base}?' },
+        { id: 'enablement', pattern: /^(?<subject>.+?)\s+(?:(?<modal>can|could|may|might|must|should|shall|will|would)\s+)?(?<verb>enables?|enabled|allows?|allowed|permits?|permitted)\s+(?<object>.+)$/i, template: 'What {do} {subject} {base}?' },
+        { id: 'assistance', pattern: /^(?<subject>.+?)\s+(?:(?<modal>can|could|may|might|must|should|shall|will|would)\s+)?(?<verb>helps?|helped|assists?|assisted|supports?|supported)\s+(?<object>.+)$/i, template: 'How {do} {subject} {base}?' },
+        {
+            id: 'passive',
+            pattern: new RegExp(String.raw`^(?<subject>.+?)\s+(?<verb>is|are|was|were)\s+(?:(?:\w+ly|also|always|only)\s+)?(?<participle>${PAST_PARTICIPLE})\b(?!\s+as\b)\s*(?<object>.*)$`, 'i'),
+            template: 'How {verb} {subject} {participle}?'
+        },
+        {
+            id: 'negativePassive',
+            pattern: new RegExp(String.raw`^(?<subject>.+?)\s+(?<verb>is|are|was|were)\s+(?:not|never)\s+(?<participle>${PAST_PARTICIPLE})\b\s*(?<object>.*)$`, 'i'),
+            template: '{verb} {subject} {participle}?'
+        },
+        {
+            id: 'modalPassive',
+            pattern: new RegExp(String.raw`^(?<subject>.+?)\s+(?<verb>can|could|may|might|must|should|shall|will|would)\s+(?:(?:\w+ly|also|always|only)\s+)?be\s+(?<participle>${PAST_PARTICIPLE})\b\s*(?<object>.*)$`, 'i'),
+            template: 'How {verb} {subject} be {participle}?'
+        },
+        {
+            id: 'negativeModalPassive',
+            pattern: new RegExp(String.raw`^(?<subject>.+?)\s+(?<verb>can|could|may|might|must|should|shall|will|would)\s+(?:not|never)\s+be\s+(?<participle>${PAST_PARTICIPLE})\b\s*(?<object>.*)$`, 'i'),
+            template: '{verb} {subject} be {participle}?'
+        },
+        { id: 'possession', pattern: /^(?<subject>.+?)\s+(?<verb>has|have|had)\s+(?!to\b|been\b)(?<object>.+)$/i, template: 'What {do} {subject} have?' },
+        { id: 'action', pattern: /^(?<subject>.+?)\s+(?<verb>can|could|may|might|must|should|shall)\s+(?!(?:be|have|not|only|also|never|always|still)\b)(?<action>\w+)\s+(?<object>.+)$/i, template: 'What {verb} {subject} {action}?' },
+        { id: 'ability', pattern: /^(?<subject>.+?)\s+(?<verb>can|could|may|might|must|should|shall)\s+(?!(?:(?:\w+ly|not|never|also|always|only|still)\s+)*be\b)(?<object>.+)$/i, template: 'What {verb} {subject} do?' },
+        {
+            id: 'definition',
+            pattern: new RegExp(String.raw`^(?<subject>.+?)\s+(?<verb>is|are|was|were)\s+(?!(?:(?:\w+ly|not|never|also|always|only|being|been)\s+)*${PAST_PARTICIPLE}\b(?!\s+as\b))(?<object>.+)$`, 'i'),
+            template: 'What {verb} {subject}?'
+        }
+    ],
+    MAX_SUBJECT_WORDS: 8,
+    PRONOUN_SUBJECTS: /^(?:it|they|this|these|that|those|he|she)$/i,
+    // Questions answered by the clause that follows the one they ask about ("..., which ensures ...")
+    EXPLANATION_QUESTIONS: /^(?:why|how)\b/i,
+    ANSWER_MODES: ['sentence', 'clause'],
+    // 'score' takes the top-ranked sentences; 'coverage' spreads FAQs over sections in proportion to their size
+    SELECTION_MODES: ['score', 'coverage'],
+    // Sentences compared on each side of a gap when splitting unheaded text into passages (TextTiling)
+    COVERAGE_WINDOW: 3,
+    COVERAGE_MIN_PASSAGE: 2,
+    // A removed and an added sentence this similar (Jaccard over key terms) count as one edited sentence
+    REVISION_EDIT_SIMILARITY: 0.4,
+    // Added sentences in this top share of the revised document's scores are suggested as FAQs
+    REVISION_SUGGESTION_SHARE: 0.25,
+    REVISION_SUGGESTION_LIMIT: 5,
+    // Reference check outcomes whose recorded offsets no longer point at the reference
+    STALE_REFERENCE_STATUSES: ['missing', 'edited', 'removed'],
+    // A comma followed by one of these starts a new clause rather than continuing a list
+    CLAUSE_OPENERS: /^(?:which|who|whom|whose|where|while|whereas|although|though|but|yet|so|because|since|unless|(?:and|or)\s+(?:it|they|this|these|he|she|we|you|there))\b/i,
+    // Opening words of a sentence that point back to the previous one
+    FOLLOW_UP_PRONOUNS: /^(?:(?:However|Also|Additionally|In addition|Furthermore|Moreover|Therefore|As a result|For example),?\s+)?(?:[Ii]ts?|[Tt]his|[Tt]hat|[Tt]hese|[Tt]hose|[Tt]hey|[Tt]heir|[Ss]uch|[Hh]e|[Ss]he|[Hh]is|[Hh]er)\b/,
+    // Wording the fallback question formats add, which the source is not expected to contain
+    QUESTION_SCAFFOLD_WORDS: new Set([
+        'type', 'quantity', 'percentage', 'related', 'effects', 'results',
+        'significant', 'help', 'enable', 'outcomes', 'requirements', 'include',
+        'contain', 'occur', 'process', 'method', 'known', 'important', 'know',
+        'about'
+    ]),
+    IRREGULAR_VERBS: {
+        has: 'have', had: 'have', gave: 'give', gives: 'give', led: 'lead',
+        is: 'be', are: 'be', was: 'be', were: 'be', does: 'do', did: 'do'
+    },
+    IMPORTANCE_INDICATORS: [
+        'important', 'essential', 'critical', 'key', 'main', 'primary',
+        'significant', 'major', 'fundamental', 'crucial', 'vital', 'necessary',
+        'must', 'should', 'always', 'never', 'requires', 'ensures'
+    ],
+    // Points each scoring factor adds; TF-IDF is a multiplier on the sentence's mean TF-IDF
+    SCORING_WEIGHTS: {
+        tfidf: 3,
+        positionStart: 0.5,
+        positionEnd: 0.3,
+        length: 0.4,
+        importance: 0.5,
+        numbers: 0.4,
+        properNouns: 0.3,
+        definition: 0.5
+    },
+    SCORING_WEIGHT_LABELS: {
+        tfidf: 'TF-IDF multiplier',
+        positionStart: 'First two sentences',
+        positionEnd: 'Last two sentences',
+        length: '8–25 words',
+        importance: 'Each importance word',
+        numbers: 'Numbers',
+        properNouns: 'Proper nouns',
+        definition: 'Definition cue'
+    },
+    // Built-in scoring presets: weights override the defaults, importance words replace them,
+    // and extra stop words are added to STOP_WORDS
+    SCORING_PRESETS: [
+        { name: 'Default', weights: {} },
+        {
+            name: 'Legal',
+            weights: { tfidf: 2.5, positionStart: 0.2, positionEnd: 0.1, importance: 0.6, numbers: 0.5, definition: 0.8 },
+            importanceIndicators: [
+                'shall', 'must', 'must not', 'may not', 'required', 'liable', 'liability', 'indemnify',
+                'warrant', 'terminate', 'termination', 'breach', 'obligation', 'governed by',
+                'notwithstanding', 'pursuant', 'prohibited', 'exclusive', 'confidential'
+            ],
+            extraStopWords: ['hereby', 'herein', 'hereof', 'thereof', 'therein', 'whereas']
+        },
+        {
+            name: 'Product docs',
+            weights: { positionStart: 0.3, positionEnd: 0.1, numbers: 0.6, properNouns: 0.5, definition: 0.4 },
+            importanceIndicators: [
+                'click', 'select', 'enable', 'disable', 'configure', 'install', 'set up', 'supports',
+                'requires', 'limit', 'default', 'available', 'note', 'warning', 'important', 'must', 'cannot'
+            ],
+            extraStopWords: ['click', 'page', 'screen', 'button']
+        },
+        {
+            name: 'HR policy',
+            weights: { importance: 0.6, numbers: 0.6, definition: 0.4 },
+            importanceIndicators: [
+                'eligible', 'entitled', 'must', 'required', 'approval', 'approve', 'leave', 'benefit',
+                'allowance', 'reimburse', 'notice', 'probation', 'manager', 'policy', 'prohibited', 'never'
+            ],
+            extraStopWords: ['employee', 'employees', 'staff', 'company']
+        }
+    ],
+    // Per-language resources; English uses the top-level lists above.
+    // Template words outside {slots} are ignored when checking question terms against the source.
+    LANGUAGES: {
+        en: { name: 'English', locale: 'en' },
+        es: {
+            name: 'Español',
+            locale: 'es',
+            stopWords: [
+                'de', 'la', 'que', 'el', 'en', 'los', 'del', 'se', 'las', 'por', 'un', 'para', 'con', 'no',
+                'una', 'su', 'al', 'lo', 'como', 'más', 'pero', 'sus', 'le', 'ya', 'este', 'sí', 'porque',
+                'esta', 'entre', 'cuando', 'muy', 'sin', 'sobre', 'también', 'me', 'hasta', 'hay', 'donde',
+                'quien', 'desde', 'todo', 'nos', 'durante', 'todos', 'uno', 'les', 'ni', 'contra', 'otros',
+                'ese', 'eso', 'ante', 'ellos', 'esto', 'antes', 'algunos', 'qué', 'unos', 'otro', 'otras',
+                'otra', 'él', 'tanto', 'esa', 'estos', 'mucho', 'quienes', 'nada', 'muchos', 'cual', 'ella',
+                'estar', 'estas', 'algunas', 'algo', 'nosotros', 'es', 'son', 'ser', 'fue', 'han', 'ha',
+                'puede', 'pueden', 'debe', 'deben', 'cada'
+            ],
+            importanceIndicators: [
+                'importante', 'esencial', 'crítico', 'clave', 'principal', 'fundamental', 'necesario',
+                'obligatorio', 'debe', 'deben', 'siempre', 'nunca', 'requiere', 'garantiza'
+            ],
+            abbreviations: ['Sr.', 'Sra.', 'Srta.', 'Dr.', 'Dra.', 'etc.', 'p. ej.', 'ej.', 'núm.', 'pág.', 'Ud.', 'Uds.'],
+            questionPatterns: [
+                { id: 'scope', pattern: /^(?<subject>.+?)\s+(?<verb>se aplican?)\s+a\s+(?<object>.+)$/i, template: '¿A quién {verb} {subject}?' },
+                { id: 'obligation', pattern: /^(?<subject>.+?)\s+(?<verb>deben?|tienen? que)\s+(?<object>.+)$/i, template: '¿Qué {verb} hacer {subject}?' },
+                { id: 'ability', pattern: /^(?<subject>.+?)\s+(?<verb>pueden?)\s+(?<object>.+)$/i, template: '¿Qué {verb} hacer {subject}?' },
+                { id: 'requirement', pattern: /^(?<subject>.+?)\s+(?<verb>requieren?|exigen?)\s+(?<object>.+)$/i, template: '¿Qué {verb} {subject}?' },
+                { id: 'inclusion', pattern: /^(?<subject>.+?)\s+(?<verb>incluyen?)\s+(?<object>.+)$/i, template: '¿Qué {verb} {subject}?' },
+                { id: 'definition', pattern: /^(?<subject>.+?)\s+(?<verb>es|son)\s+(?<object>.+)$/i, template: '¿Qué {verb} {subject}?' }
+            ],
+            fallbackQuestion: '¿Qué dice el documento sobre {subject}?'
+        },
+        de: {
+            name: 'Deutsch',
+            locale: 'de',
+            stopWords: [
+                'der', 'die', 'das', 'und', 'in', 'zu', 'den', 'von', 'mit', 'sich', 'des', 'auf', 'für',
+                'ist', 'im', 'dem', 'nicht', 'ein', 'eine', 'als', 'auch', 'es', 'an', 'werden', 'aus', 'er',
+                'hat', 'dass', 'sie', 'nach', 'wird', 'bei', 'einer', 'um', 'am', 'sind', 'noch', 'wie',
+                'einem', 'über', 'einen', 'so', 'zum', 'war', 'haben', 'nur', 'oder', 'aber', 'vor', 'zur',
+                'bis', 'mehr', 'durch', 'man', 'dann', 'soll', 'sollen', 'muss', 'müssen', 'kann', 'können',
+                'wenn', 'diese', 'dieser', 'dieses', 'jede', 'jeder', 'jedes', 'alle', 'was', 'wer', 'welche',
+                'ihre', 'ihr', 'sein', 'seine', 'wir'
+            ],
+            importanceIndicators: [
+                'wichtig', 'wesentlich', 'entscheidend', 'zentral', 'grundlegend', 'notwendig', 'erforderlich',
+                'verpflichtend', 'muss', 'müssen', 'immer', 'niemals', 'erfordert', 'gewährleistet'
+            ],
+            abbreviations: ['z. B.', 'z.B.', 'd. h.', 'd.h.', 'u. a.', 'u.a.', 'bzw.', 'usw.', 'ca.', 'Nr.', 'Dr.', 'Hr.', 'Fr.', 'ggf.', 'inkl.', 'vgl.'],
+            // "am 1. Januar": a period after a day or rank number marks an ordinal
+            ordinalPeriods: true,
+            // Nouns are capitalised, so only function words are lowercased inside questions
+            capitalizedNouns: true,
+            questionPatterns: [
+                { id: 'scope', pattern: /^(?<subject>.+?)\s+(?<verb>gilt|gelten)\s+für\s+(?<object>.+)$/i, template: 'Für wen {verb} {subject}?' },
+                { id: 'obligation', pattern: /^(?<subject>.+?)\s+(?<verb>muss|müssen|soll|sollen)\s+(?<object>.+)$/i, template: 'Was {verb} {subject} tun?' },
+                { id: 'ability', pattern: /^(?<subject>.+?)\s+(?<verb>kann|können|darf|dürfen)\s+(?<object>.+)$/i, template: 'Was {verb} {subject} tun?' },
+                { id: 'requirement', pattern: /^(?<subject>.+?)\s+(?<verb>erfordert|erfordern|verlangt|verlangen)\s+(?<object>.+)$/i, template: 'Was {verb} {subject}?' },
+                { id: 'inclusion', pattern: /^(?<subject>.+?)\s+(?<verb>umfasst|umfassen|enthält|enthalten)\s+(?<object>.+)$/i, template: 'Was {verb} {subject}?' },
+                { id: 'definition', pattern: /^(?<subject>.+?)\s+(?<verb>ist|sind)\s+(?<object>.+)$/i, template: 'Was {verb} {subject}?' }
+            ],
+            fallbackQuestion: 'Was sagt das Dokument über {subject}?'
+        },
+        fr: {
+            name: 'Français',
+            locale: 'fr',
+            stopWords: [
+                'le', 'la', 'les', 'de', 'des', 'du', 'un', 'une', 'et', 'en', 'est', 'sont', 'que', 'qui',
+                'dans', 'pour', 'par', 'sur', 'avec', 'ne', 'pas', 'plus', 'ce', 'cette', 'ces', 'il', 'elle',
+                'ils', 'elles', 'au', 'aux', 'se', 'son', 'sa', 'ses', 'leur', 'leurs', 'ou', 'mais', 'comme',
+                'tout', 'tous', 'toute', 'toutes', 'être', 'avoir', 'peut', 'peuvent', 'doit', 'doivent',
+                'été', 'fait', 'nous', 'vous', 'on', 'dont', 'quoi', 'quel', 'quelle', 'chaque', 'entre'
+            ],
+            importanceIndicators: [
+                'important', 'essentiel', 'critique', 'clé', 'principal', 'fondamental', 'nécessaire',
+                'obligatoire', 'doit', 'doivent', 'toujours', 'jamais', 'exige', 'garantit'
+            ],
+            abbreviations: ['M.', 'Mme', 'Mlle', 'Dr.', 'etc.', 'p. ex.', 'cf.', 'env.', 'art.', 'n°'],
+            questionPatterns: [
+                { id: 'scope', pattern: /^(?<subject>.+?)\s+(?<verb>s'appliquent|s'applique)\s+à\s+(?<object>.+)$/i, template: 'À qui {verb} {subject} ?' },
+                { id: 'obligation', pattern: /^(?<subject>.+?)\s+(?<verb>doit|doivent)\s+(?<object>.+)$/i, template: "Qu'est-ce que {subject} {verb} faire ?" },
+                { id: 'ability', pattern: /^(?<subject>.+?)\s+(?<verb>peut|peuvent)\s+(?<object>.+)$/i, template: "Qu'est-ce que {subject} {verb} faire ?" },
+                { id: 'requirement', pattern: /^(?<subject>.+?)\s+(?<verb>exige|exigent|nécessite|nécessitent)\s+(?<object>.+)$/i, template: "Qu'est-ce que {subject} {verb} ?" },
+                { id: 'inclusion', pattern: /^(?<subject>.+?)\s+(?<verb>comprend|comprennent|inclut|incluent)\s+(?<object>.+)$/i, template: "Qu'est-ce que {subject} {verb} ?" },
+                { id: 'definition', pattern: /^(?<subject>.+?)\s+(?<verb>est|sont)\s+(?<object>.+)$/i, template: "Qu'est-ce que {subject} ?" }
+            ],
+            fallbackQuestion: 'Que dit le document à propos de {subject} ?'
+        },
+        hi: {
+            name: 'हिन्दी',
+            locale: 'hi',
+            script: /\p{Script=Devanagari}/u,
+            stopWords: [
+                'के', 'का', 'की', 'है', 'हैं', 'में', 'और', 'को', 'से', 'पर', 'यह', 'वह', 'एक', 'भी', 'था',
+                'थे', 'थी', 'ने', 'कि', 'जो', 'तो', 'ही', 'या', 'इस', 'उस', 'लिए', 'कर', 'किया', 'होता',
+                'होती', 'होते', 'हो', 'गया', 'गई', 'जा', 'सकता', 'सकते', 'सकती', 'नहीं', 'अपने', 'अपना',
+                'तक', 'साथ', 'द्वारा', 'जैसे', 'क्या', 'कौन', 'कब', 'कहाँ', 'क्यों', 'कैसे', 'सभी', 'हर'
+            ],
+            importanceIndicators: [
+                'महत्वपूर्ण', 'आवश्यक', 'ज़रूरी', 'जरूरी', 'अनिवार्य', 'मुख्य', 'प्रमुख', 'चाहिए', 'हमेशा', 'कभी'
+            ],
+            abbreviations: ['डॉ.', 'श्री.', 'सं.'],
+            questionPatterns: [
+                { id: 'obligation', pattern: /^(?<subject>.+?)\s+को\s+(?<object>.+?)\s+(?<verb>चाहिए|होगा|होगी|होंगे)$/, template: '{subject} को क्या करना {verb}?' },
+                { id: 'ability', pattern: /^(?<subject>.+?)\s+(?<object>.+?)\s+(?<verb>सकता|सकती|सकते)\s+(?:है|हैं)$/, template: '{subject} क्या कर {verb} हैं?' }
+            ],
+            fallbackQuestion: '{subject} के बारे में दस्तावेज़ क्या कहता है?'
+        }
+    },
+    // Factors summed by TextAnalyzer.scoreSentences(), in the order they are applied
+    SCORE_FACTORS: [
+        { id: 'tfidf', label: 'TF-IDF' },
+        { id: 'position', label: 'Position' },
+        { id: 'length', label: 'Length' },
+        { id: 'importance', label: 'Importance words' },
+        { id: 'numbers', label: 'Numbers' },
+        { id: 'properNouns', label: 'Proper nouns' },
+        { id: 'definition', label: 'Definition cue' }
+    ]
+};
+
+// ===================================
+// LANGUAGE SUPPORT
+// ===================================
+class LanguageSupport {
+    /**
+     * Resources for a language code, with English drawn from the top-level CONFIG lists
+     */
+    static get(code) {
+        const language = CONFIG.LANGUAGES[code] ? code : 'en';
+        if (!this.cache) this.cache = new Map();
+        if (this.cache.has(language)) return this.cache.get(language);
+
+        const definition = CONFIG.LANGUAGES[language];
+        const pack = language === 'en'
+            ? {
+                ...definition,
+                code: 'en',
+                stopWords: CONFIG.STOP_WORDS,
+                importanceIndicators: CONFIG.IMPORTANCE_INDICATORS,
+                abbreviations: CONFIG.ABBREVIATIONS,
+                questionPatterns: CONFIG.QUESTION_PATTERNS,
+                templateWords: new Set()
+            }
+            : {
+                ...definition,
+                code: language,
+                stopWords: new Set(definition.stopWords),
+                templateWords: new Set(
+                    [...definition.questionPatterns.map(pattern => pattern.template), definition.fallbackQuestion]
+                        .flatMap(template => this.words(template.replace(/\{\w+\}/g, ' ')))
+                )
+            };
+
+        this.cache.set(language, pack);
+        return pack;
+    }
+
+    /**
+     * Lowercased Unicode words: letters, combining marks and digits
+     */
+    static words(text) {
+        return text.toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+    }
+
+    /**
+     * Guess the language from its script, then from stop-word hits in a sample
+     */
+    static detect(text) {
+        const sample = text.slice(0, 20000);
+        const letters = sample.match(/\p{L}/gu) || [];
+        if (!letters.length) return 'en';
+
+        const devanagari = sample.match(/\p{Script=Devanagari}/gu) || [];
+        if (devanagari.length / letters.length > 0.3) return 'hi';
+
+        const words = this.words(sample);
+        let best = 'en';
+        let bestHits = 0;
+
+        ['en', 'es', 'de', 'fr'].forEach(code => {
+            const stopWords = this.get(code).stopWords;
+            const hits = words.filter(word => stopWords.has(word)).length;
+            if (hits > bestHits) {
+                best = code;
+                bestHits = hits;
+            }
+        });
+
+        return best;
+    }
+}
+
+// ===================================
+// SENTENCE SEGMENTER
+// ===================================
+/**
+ * Rule-based sentence boundaries that only report offsets, never rewrite the text.
+ * Deterministic across browsers, unlike Intl.Segmenter.
+ * The reference corpus pinning its behaviour is test/sentence-segmenter.test.mjs.
+ */
+class SentenceSegmenter {
+    constructor(language = 'en') {
+        const pack = LanguageSupport.get(language);
+        this.abbreviations = new Set(pack.abbreviations.map(abbreviation => abbreviation.toLowerCase()));
+        this.ordinalPeriods = Boolean(pack.ordinalPeriods);
+        this.openers = new Set([...pack.stopWords, ...(pack.code === 'en' ? CONFIG.SENTENCE_OPENERS : [])]);
+    }
+
+    /**
+     * Sentence spans ({ start, end }) covering the text; list markers are left out,
+     * and spans may include surrounding whitespace
+     */
+    split(text) {
+        const spans = [];
+        // Terminal punctuation with any closing quotes, a blank line, or a list item starting a line
+        const boundary = /(?<terminator>[.!?…।॥]+["'”’»)\]]*)(?=\s|$)|(?<paragraph>\n)(?=[^\S\n]*\n)|(?:^|\n)[^\S\n]*(?<marker>[-*•‣◦▪]|\d{1,3}[.)]|\p{Ll}[.)])[^\S\n]+/gu;
+        let start = 0;
+        let match;
+
+        while ((match = boundary.exec(text)) !== null) {
+            const { terminator, paragraph } = match.groups;
+
+            if (terminator) {
+                if (!this.isBoundary(text, match.index, match.index + match[0].length)) continue;
+                spans.push({ start, end: match.index + match[0].length });
+                start = match.index + match[0].length;
+            } else if (paragraph) {
+                spans.push({ start, end: match.index });
+                start = match.index;
+            } else {
+                // The sentence before ends at the line break; the item starts after its marker
+                spans.push({ start, end: match.index });
+                start = match.index + match[0].length;
+            }
+        }
+        spans.push({ start, end: text.length });
+
+        return spans.filter(span => span.end > span.start);
+    }
+
+    /**
+     * Decide whether terminal punctuation at [start, end) ends a sentence
+     */
+    isBoundary(text, start, end) {
+        // Sticky match from the offset, so long texts aren't copied at every full stop
+        const follower = /\s*(\S)/uy;
+        follower.lastIndex = end;
+        const next = follower.exec(text);
+        if (!next) return true;
+
+        // A lowercase continuation never starts a new sentence
+        if (/\p{Ll}/u.test(next[1])) return false;
+
+        // Only a single period can belong to an abbreviation, initial or number
+        if (text.slice(start, end).replace(/["'”’»)\]]+$/, '') !== '.') return true;
+
+        // Only the last two words matter; look back a bounded distance within the line
+        const lineStart = Math.max(text.lastIndexOf('\n', start) + 1, start - 80);
+        const words = text.slice(lineStart, end).trim().split(/\s+/);
+        const word = words[words.length - 1].replace(/^["'(\[“‘«¿¡]+/, '');
+        const lower = word.toLowerCase();
+        const lastTwo = words.slice(-2).join(' ').toLowerCase();
+
+        if (CONFIG.NUMBER_ABBREVIATIONS.has(lower)) return !/\p{N}/u.test(next[1]);
+
+        if (this.abbreviations.has(lower) || this.abbreviations.has(lastTwo)) {
+            return CONFIG.SENTENCE_FINAL_ABBREVIATIONS.has(lower) && /\p{Lu}/u.test(next[1]);
+        }
+
+        // Initials never end a sentence: "J. R. R. Tolkien", "z. B."; "a.m." can
+        if (/^\p{L}\.$/u.test(word)) return false;
+
+        // An acronym such as "U.S." ends one only when a word that is not part of a name follows
+        if (/^(?:\p{Lu}\.)+$/u.test(word)) {
+            const nextWord = /[\p{L}\p{M}]+/uy;
+            nextWord.lastIndex = next.index + next[0].length - next[1].length;
+            const match = nextWord.exec(text);
+            return Boolean(match) && this.openers.has(match[0].toLowerCase());
+        }
+
+        // Ordinal numbers in languages that write them with a period
+        if (this.ordinalPeriods && /^\d{1,2}\.$/.test(word)) return false;
+
+        return true;
+    }
+}
+
+// ===================================
+// TEXT ANALYSIS ENGINE
+// ===================================
+class TextAnalyzer {
+    /**
+     * @param {string} text - Source text
+     * @param {Object} [options]
+     * @param {Array} [options.segments] - Structural segments with absolute offsets (headings, pages)
+     * @param {Object} [options.scoring] - { weights, importanceIndicators, stopWords } overriding the CONFIG defaults
+     * @param {string} [options.language] - Language code from CONFIG.LANGUAGES, or 'auto' to detect it
+     */
+    constructor(text, options = {}) {
+        this.originalText = text;
+        this.segments = options.segments || [];
+        this.language = !options.language || options.language === 'auto'
+            ? LanguageSupport.detect(text)
+            : LanguageSupport.get(options.language).code;
+
+        const pack = LanguageSupport.get(this.language);
+        const scoring = options.scoring || {};
+        this.weights = { ...CONFIG.SCORING_WEIGHTS, ...scoring.weights };
+
+        if (this.language === 'en') {
+            this.importanceIndicators = scoring.importanceIndicators || CONFIG.IMPORTANCE_INDICATORS;
+            this.stopWords = scoring.stopWords ? new Set(scoring.stopWords) : CONFIG.STOP_WORDS;
+        } else {
+            // Scoring word lists are English; keep only the user's extra stop words on top of the language's own
+            const extraStopWords = (scoring.stopWords || []).filter(word => !CONFIG.STOP_WORDS.has(word));
+            this.importanceIndicators = pack.importanceIndicators;
+            this.stopWords = new Set([...pack.stopWords, ...extraStopWords]);
+        }
+
+        this.segmenter = new SentenceSegmenter(this.language);
+        this.sentences = this.extractSentences(text);
+        this.words = this.tokenize(text);
+        this.termFrequency = this.calculateTF();
+        this.idf = this.calculateIDF();
+        this.tfidf = this.calculateTFIDF();
+    }
+
+    /**
+     * Extract sentences from text along with their character offsets
+     * The original text is never rewritten, so every sentence is an exact slice of it
+     */
+    extractSentences(text) {
+        return this.splitSentenceSpans(text)
+            .filter(span => span.end - span.start >= CONFIG.MIN_SENTENCE_LENGTH)
+            // Headings give context but are not answers
+            .filter(span => !(this.segmentAt(span.start) || {}).isHeading)
+            .map((span, index) => {
+                const sentence = text.slice(span.start, span.end);
+                const segment = this.segmentAt(span.start);
+                return {
+                    text: sentence,
+                    index,
+                    start: span.start,
+                    end: span.end,
+                    headingPath: segment ? segment.headingPath : [],
+                    words: this.tokenize(sentence),
+                    importance: 0
+                };
+            });
+    }
+
+    /**
+     * Find the structural segment containing an offset
+     */
+    segmentAt(offset) {
+        return this.segments.find(segment => offset >= segment.start && offset < segment.end) || null;
+    }
+
+    /**
+     * Split text into trimmed sentence spans ({ start, end } offsets)
+     */
+    splitSentenceSpans(text) {
+        return this.segmenter.split(text)
+            .map(span => this.trimSpan(text, span.start, span.end))
+            .filter(span => span.end > span.start);
+    }
+
+    /**
+     * Shrink a span so it excludes surrounding whitespace
+     */
+    trimSpan(text, start, end) {
+        while (start < end && /\s/.test(text[start])) start++;
+        while (end > start && /\s/.test(text[end - 1])) end--;
+        return { start, end };
+    }
+
+    /**
+     * Tokenize text into words
+     */
+    tokenize(text) {
+        return LanguageSupport.words(text)
+            .filter(word => word.length > 2 && !this.stopWords.has(word));
+    }
+
+    /**
+     * Calculate Term Frequency
+     */
+    calculateTF() {
+        const tf = new Map();
+        const totalWords = this.words.length;
+
+        this.words.forEach(word => {
+            tf.set(word, (tf.get(word) || 0) + 1);
+        });
+
+        // Normalize by total words
+        tf.forEach((count, word) => {
+            tf.set(word, count / totalWords);
+        });
+
+        return tf;
+    }
+
+    /**
+     * Calculate Inverse Document Frequency
+     */
+    calculateIDF() {
+        const idf = new Map();
+        const numSentences = this.sentences.length;
+
+        // Count sentences containing each word
+        const sentenceCount = new Map();
+        this.sentences.forEach(sentence => {
+            const uniqueWords = new Set(sentence.words);
+            uniqueWords.forEach(word => {
+                sentenceCount.set(word, (sentenceCount.get(word) || 0) + 1);
+            });
+        });
+
+        // Calculate IDF
+        sentenceCount.forEach((count, word) => {
+            idf.set(word, Math.log(numSentences / (1 + count)) + 1);
+        });
+
+        return idf;
+    }
+
+    /**
+     * Calculate TF-IDF scores
+     */
+    calculateTFIDF() {
+        const tfidf = new Map();
+
+        this.termFrequency.forEach((tf, word) => {
+            const idf = this.idf.get(word) || 1;
+            tfidf.set(word, tf * idf);
+        });
+
+        return tfidf;
+    }
+
+    /**
+     * Measure topical diversity as the share of sentences with a distinct dominant term
+     */
+    calculateTopicalDiversity() {
+        if (!this.sentences.length) return 0;
+
+        const dominantTerms = new Set();
+        this.sentences.forEach(sentence => {
+            let dominant = null;
+            let best = -1;
+            sentence.words.forEach(word => {
+                const score = this.tfidf.get(word) || 0;
+                if (score > best) {
+                    dominant = word;
+                    best = score;
+                }
+            });
+            if (dominant) dominantTerms.add(dominant);
+        });
+
+        return dominantTerms.size / this.sentences.length;
+    }
+
+    /**
+     * Score sentence importance using multiple factors
+     */
+    scoreSentences() {
+        const weights = this.weights;
+
+        this.sentences.forEach(sentence => {
+            const breakdown = {};
+
+            // 1. TF-IDF based score
+            const tfidfScore = sentence.words.reduce((sum, word) => {
+                return sum + (this.tfidf.get(word) || 0);
+            }, 0) / Math.max(sentence.words.length, 1);
+            breakdown.tfidf = tfidfScore * weights.tfidf;
+
+            // 2. Position bonus (first and last sentences often important)
+            breakdown.position = 0;
+            if (sentence.index < 2) breakdown.position += weights.positionStart;
+            if (sentence.index >= this.sentences.length - 2) breakdown.position += weights.positionEnd;
+
+            // 3. Length bonus (not too short, not too long)
+            const wordCount = sentence.words.length;
+            breakdown.length = wordCount >= 8 && wordCount <= 25 ? weights.length : 0;
+
+            // 4. Importance indicators
+            const lowerText = sentence.text.toLowerCase();
+            breakdown.importance = this.importanceIndicators
+                .filter(indicator => lowerText.includes(indicator)).length * weights.importance;
+
+            // 5. Contains numbers or percentages (often factual)
+            breakdown.numbers = /\d+%?/.test(sentence.text) ? weights.numbers : 0;
+
+            // 6. Contains proper nouns (capitalized words mid-sentence)
+            const properNouns = sentence.text.match(/(?<=\s)[A-Z][a-z]+/g);
+            breakdown.properNouns = properNouns && properNouns.length > 0 ? weights.properNouns : 0;
+
+            // 7. Definitive statements (contains "is", "are", definitions)
+            breakdown.definition = /\b(?:is|are|refers to|means|defined as)\b/i.test(sentence.text) ? weights.definition : 0;
+
+            sentence.scoreBreakdown = breakdown;
+            sentence.importance = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+        });
+
+        // Sort a copy so this.sentences stays in document order
+        return [...this.sentences].sort((a, b) => b.importance - a.importance);
+    }
+
+    /**
+     * Group sentences into sections for coverage: by heading where the source has them,
+     * otherwise into passages where the vocabulary shifts (TextTiling)
+     * @returns {Array<{ id, label, kind: 'heading'|'passage', sentences: number[] }>}
+     */
+    findSections() {
+        if (!this.sectionCache) {
+            const headed = this.sentences.filter(sentence => sentence.headingPath.length).length;
+            this.sectionCache = headed >= this.sentences.length / 2
+                ? this.sectionsByHeading()
+                : this.sectionsByVocabulary();
+        }
+        return this.sectionCache;
+    }
+
+    /**
+     * Sections at the shallowest heading level that splits the document in two or more
+     */
+    sectionsByHeading() {
+        const maxDepth = Math.max(...this.sentences.map(sentence => sentence.headingPath.length));
+        const groupAt = depth => {
+            const groups = new Map();
+            this.sentences.forEach(sentence => {
+                const path = sentence.headingPath.slice(0, depth);
+                const id = path.join(' > ') || '(Before the first heading)';
+                if (!groups.has(id)) groups.set(id, []);
+                groups.get(id).push(sentence.index);
+            });
+            return groups;
+        };
+
+        let groups = groupAt(1);
+        for (let depth = 2; groups.size < 2 && depth <= maxDepth; depth++) groups = groupAt(depth);
+
+        return [...groups].map(([id, sentences]) => ({ id, label: id, kind: 'heading', sentences }));
+    }
+
+    /**
+     * Split the sentences where lexical similarity between neighbouring windows dips deepest
+     */
+    sectionsByVocabulary() {
+        const window = CONFIG.COVERAGE_WINDOW;
+        const count = this.sentences.length;
+        const bag = sentences => {
+            const counts = new Map();
+            sentences.forEach(sentence => sentence.words.forEach(word => {
+                const stem = TextAnalyzer.stem(word);
+                counts.set(stem, (counts.get(stem) || 0) + 1);
+            }));
+            return counts;
+        };
+        const cosine = (a, b) => {
+            let dot = 0;
+            a.forEach((value, key) => { dot += value * (b.get(key) || 0); });
+            const norm = map => Math.sqrt([...map.values()].reduce((sum, value) => sum + value * value, 0));
+            return dot / ((norm(a) * norm(b)) || 1);
+        };
+
+        // Similarity across each gap; gap i sits before sentence i
+        const similarity = [];
+        for (let i = 1; i < count; i++) {
+            similarity[i] = cosine(
+                bag(this.sentences.slice(Math.max(0, i - window), i)),
+                bag(this.sentences.slice(i, i + window))
+            );
+        }
+
+        // Depth of each dip relative to the nearest peaks on either side
+        const depth = [];
+        for (let i = 1; i < count; i++) {
+            let left = similarity[i];
+            for (let j = i - 1; j >= 1 && similarity[j] >= left; j--) left = similarity[j];
+            let right = similarity[i];
+            for (let j = i + 1; j < count && similarity[j] >= right; j++) right = similarity[j];
+            depth[i] = (left - similarity[i]) + (right - similarity[i]);
+        }
+
+        const depths = depth.filter(value => value !== undefined);
+        const mean = depths.reduce((sum, value) => sum + value, 0) / (depths.length || 1);
+        const spread = Math.sqrt(depths.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (depths.length || 1));
+        const cutoff = Math.max(mean - spread / 2, Number.EPSILON);
+
+        // Deepest gaps first, skipping any that would leave a passage too short
+        const boundaries = [0, count];
+        depth
+            .map((value, gap) => ({ value, gap }))
+            .filter(({ value }) => value !== undefined && value >= cutoff)
+            .sort((a, b) => b.value - a.value)
+            .forEach(({ gap }) => {
+                const tooClose = boundaries.some(boundary => Math.abs(boundary - gap) < CONFIG.COVERAGE_MIN_PASSAGE);
+                if (!tooClose) boundaries.push(gap);
+            });
+        boundaries.sort((a, b) => a - b);
+
+        return boundaries.slice(0, -1).map((start, index) => {
+            const sentences = this.sentences.slice(start, boundaries[index + 1]);
+            const terms = [...bag(sentences)]
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 2)
+                .map(([stem]) => sentences.flatMap(sentence => sentence.words).find(word => TextAnalyzer.stem(word) === stem));
+            return {
+                id: `passage-${index + 1}`,
+                label: `Passage ${index + 1} (sentences ${start + 1}–${boundaries[index + 1]})${terms.length ? `: ${terms.join(', ')}` : ''}`,
+                kind: 'passage',
+                sentences: sentences.map(sentence => sentence.index)
+            };
+        });
+    }
+
+    /**
+     * Reduce a word to a rough stem so inflections compare equal
+     */
+    static stem(word) {
+        return word.toLowerCase()
+            .replace(/(?:ies|ied)$/, 'y')
+            .replace(/(?:ing|ed|es|s)$/, '')
+            .replace(/e$/, '');
+    }
+
+    /**
+     * Extract key phrases from a sentence: runs of two or three adjacent content words
+     */
+    extractKeyPhrases(sentence) {
+        const text = sentence.text;
+        const phrases = [];
+        const token = /[\p{L}\p{M}\p{N}]+/gu;
+        let run = [];
+        let previousEnd = 0;
+        let match;
+
+        const flush = () => {
+            for (let size = 2; size <= 3; size++) {
+                for (let i = 0; i + size <= run.length; i++) {
+                    phrases.push(text.slice(run[i].start, run[i + size - 1].end).replace(/\s+/g, ' '));
+                }
+            }
+            run = [];
+        };
+
+        while ((match = token.exec(text)) !== null) {
+            const word = match[0].toLowerCase();
+            // Punctuation other than a hyphen or apostrophe breaks a phrase, as does a function word
+            const joined = /^[^\S\n]*$|^[-'’]$/.test(text.slice(previousEnd, match.index));
+            if (!joined || word.length <= 2 || this.stopWords.has(word)) flush();
+            if (word.length > 2 && !this.stopWords.has(word)) {
+                run.push({ start: match.index, end: match.index + match[0].length });
+            }
+            previousEnd = match.index + match[0].length;
+        }
+        flush();
+
+        return phrases;
+    }
+
+    /**
+     * Key topics of the document: recurring phrases and the strongest TF-IDF terms,
+     * each with its occurrences ({ start, end }) and the sentences it appears in
+     * @returns {Array<{ key, label, kind, count, score, occurrences, sentences }>}
+     */
+    extractTopics(limit = CONFIG.TOPIC_LIMIT) {
+        const sentencesWith = new Map();
+        const note = (key, index) => {
+            if (!sentencesWith.has(key)) sentencesWith.set(key, new Set());
+            sentencesWith.get(key).add(index);
+        };
+
+        this.sentences.forEach(sentence => {
+            sentence.words.forEach(word => note(word, sentence.index));
+            this.extractKeyPhrases(sentence).forEach(phrase => note(phrase.toLowerCase(), sentence.index));
+        });
+
+        // "days per" and "two" aren't topics: phrases must begin and end on a content word
+        const isEdgeWord = word => /^\p{N}+$/u.test(word) || this.stopWords.has(word) ||
+            (this.language === 'en' && CONFIG.TOPIC_EDGE_WORDS.has(word));
+
+        const candidates = [];
+        sentencesWith.forEach((indices, key) => {
+            const words = LanguageSupport.words(key);
+            const isPhrase = words.length > 1;
+            // A topic recurs across sentences
+            if (indices.size < 2) return;
+            if (isEdgeWord(words[0]) || isEdgeWord(words[words.length - 1])) return;
+
+            const weight = words.reduce((sum, word) => sum + (this.tfidf.get(word) || 0), 0);
+            // Phrases score higher the more often their words appear together
+            const cohesion = isPhrase
+                ? indices.size / Math.min(...words.map(word => (sentencesWith.get(word) || indices).size))
+                : 1;
+            candidates.push({ key, words, kind: isPhrase ? 'phrase' : 'term', score: weight * cohesion, sentences: indices });
+        });
+        candidates.sort((a, b) => b.score - a.score || b.sentences.size - a.sentences.size);
+
+        // Skip topics that add nothing over a longer one already chosen
+        const topics = [];
+        for (const candidate of candidates) {
+            if (topics.length >= limit) break;
+            const redundant = topics.some(topic =>
+                topic.key !== candidate.key &&
+                topic.words.length > candidate.words.length &&
+                candidate.words.every(word => topic.words.includes(word)) &&
+                topic.sentences.size >= candidate.sentences.size
+            );
+            if (!redundant) topics.push(candidate);
+        }
+
+        return topics.map(topic => this.locateTopic(topic));
+    }
+
+    /**
+     * Find a topic's occurrences in its sentences and label it with its most common spelling
+     */
+    locateTopic(topic) {
+        const escaped = topic.words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escaped.join("[\\s'’-]+")}(?![\\p{L}\\p{M}\\p{N}])`, 'giu');
+        const occurrences = [];
+        const spellings = new Map();
+
+        this.sentences
+            .filter(sentence => topic.sentences.has(sentence.index))
+            .forEach(sentence => {
+                for (const match of sentence.text.matchAll(pattern)) {
+                    const start = sentence.start + match.index;
+                    occurrences.push({ start, end: start + match[0].length });
+                    const spelling = match[0].replace(/\s+/g, ' ');
+                    spellings.set(spelling, (spellings.get(spelling) || 0) + 1);
+                }
+            });
+
+        // Ties go to the lowercase spelling, since capitals often only mark a sentence start or title
+        const [label] = [...spellings]
+            .sort((a, b) => b[1] - a[1] || (b[0] === topic.key) - (a[0] === topic.key))[0] || [topic.key];
+        return {
+            key: topic.key,
+            label,
+            kind: topic.kind,
+            count: occurrences.length,
+            score: topic.score,
+            occurrences,
+            sentences: [...topic.sentences]
+        };
+    }
+}
+
+// ===================================
+// QUESTION TEMPLATE ENGINE
+// ===================================
+class QuestionTemplateEngine {
+    /**
+     * @param {Object} [options] - { stopWords, capitalizedNouns } for the source language
+     */
+    constructor(patterns = CONFIG.QUESTION_PATTERNS, sourceText = '', options = {}) {
+        this.patterns = patterns;
+        this.stopWords = options.stopWords || CONFIG.STOP_WORDS;
+        this.capitalizedNouns = Boolean(options.capitalizedNouns);
+        // Words capitalised mid-sentence are names; anything else is only capitalised at sentence start.
+        // A line break doesn't count as mid-sentence: blocks after a heading start with a capital too.
+        this.properNames = new Set(sourceText.match(/(?<=[\p{Ll}\p{N},;][^\S\n]+)\p{Lu}[\p{L}\p{M}'-]*/gu) || []);
+    }
+
+    /**
+     * Compile a user-supplied pattern definition ({ id, pattern, flags, template })
+     */
+    static compilePattern(definition) {
+        const { id, pattern, flags = 'i', template } = definition || {};
+
+        if (typeof id !== 'string' || !id.trim()) {
+            throw new Error('Each question pattern needs an "id".');
+        }
+        if (typeof template !== 'string' || !template.trim()) {
+            throw new Error(`Question pattern "${id}" needs a "template".`);
+        }
+
+        const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern, flags);
+        if (!regex.source.includes('(?<subject>')) {
+            throw new Error(`Question pattern "${id}" must capture a named "subject" group.`);
+        }
+
+        return { id: id.trim(), pattern: regex, template: template.trim() };
+    }
+
+    /**
+     * Merge custom patterns over the defaults
+     * A custom pattern with an existing id replaces it; new ids are tried first
+     */
+    static mergePatterns(defaults, customDefinitions = []) {
+        const custom = customDefinitions.map(definition => this.compilePattern(definition));
+        const overrides = new Map(custom.map(pattern => [pattern.id, pattern]));
+        const defaultIds = new Set(defaults.map(pattern => pattern.id));
+
+        return [
+            ...custom.filter(pattern => !defaultIds.has(pattern.id)),
+            ...defaults.map(pattern => overrides.get(pattern.id) || pattern)
+        ];
+    }
+
+    /**
+     * Generate a question for a declarative sentence, or null when no template fits
+     * @param {string} text - Sentence without its closing punctuation
+     * @param {string|null} topic - Section heading used in place of pronoun subjects
+     */
+    generate(text, topic = null) {
+        const candidates = [];
+
+        this.patterns.forEach((entry, order) => {
+            const match = text.match(entry.pattern);
+            if (!match || !match.groups || !match.groups.subject) return;
+
+            let subject = this.prepareSubject(match.groups.subject);
+            if (!subject) return;
+
+            // A bare pronoun says nothing on its own; name the section it belongs to instead
+            if (topic && CONFIG.PRONOUN_SUBJECTS.test(subject)) subject = topic;
+
+            const question = this.fill(entry.template, this.buildSlots(match.groups, subject));
+            if (question) {
+                candidates.push({ question, position: match.groups.subject.length, order });
+            }
+        });
+
+        if (!candidates.length) return null;
+
+        // The earliest verb in the sentence is the main predicate
+        candidates.sort((a, b) => a.position - b.position || a.order - b.order);
+        return candidates[0].question;
+    }
+
+    /**
+     * Build template slots from the regex captures
+     */
+    buildSlots(groups, subject) {
+        const slots = {};
+
+        Object.entries(groups).forEach(([name, value]) => {
+            if (value !== undefined) {
+                slots[name] = value.replace(/\s+/g, ' ').replace(/[.!?,;:]+$/, '').trim();
+            }
+        });
+
+        slots.subject = subject;
+
+        if (slots.verb) {
+            slots.verb = slots.verb.toLowerCase();
+            slots.base = slots.modal ? slots.verb : this.toBaseForm(slots.verb);
+            slots.do = slots.modal ? slots.modal.toLowerCase() : this.doSupport(slots.verb);
+        }
+
+        return slots;
+    }
+
+    /**
+     * Replace {slot} placeholders; a template with an unfilled slot does not apply
+     */
+    fill(template, slots) {
+        let missing = false;
+        const filled = template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (!slots[name]) {
+                missing = true;
+                return placeholder;
+            }
+            return slots[name];
+        });
+
+        if (missing) return null;
+
+        const question = filled.replace(/\s+/g, ' ').replace(/\s+\?/, '?').trim();
+        return question.charAt(0).toUpperCase() + question.slice(1);
+    }
+
+    /**
+     * Reduce the captured subject to a short noun phrase that reads well mid-question
+     */
+    prepareSubject(rawSubject) {
+        // Drop leading clauses such as "In 2023, the company"
+        const clauses = rawSubject.replace(/[,;:\s]+$/, '').split(/[,;:]\s*/);
+        let subject = clauses[clauses.length - 1].trim();
+
+        const words = subject.split(/\s+/);
+        if (!subject || words.length > CONFIG.MAX_SUBJECT_WORDS) return null;
+        if (/^(?:which|that|who|and|but|or|if|when|while|because|although|though|since|unless|until|once|after|before|whereas|whether)$/i.test(words[0])) return null;
+
+        return this.caseSubject(subject);
+    }
+
+    /**
+     * Lowercase a subject's opening word unless it looks like a name or acronym,
+     * so a capital from the start of the sentence doesn't carry into the question
+     */
+    caseSubject(subject) {
+        const [first, second] = subject.split(/\s+/);
+        const lower = first.toLowerCase();
+        // Where every noun is capitalised (German), only function words drop their capital
+        const isName = this.capitalizedNouns ||
+            this.properNames.has(first) || Boolean(second && /^\p{Lu}/u.test(second));
+
+        if (/^\p{Lu}[\p{Ll}\p{M}'-]*$/u.test(first) && (this.stopWords.has(lower) || !isName)) {
+            return lower + subject.slice(first.length);
+        }
+
+        return subject;
+    }
+
+    /**
+     * Pick the auxiliary that agrees with the verb's tense and number
+     */
+    doSupport(verb) {
+        const head = verb.split(' ')[0];
+        if (/[^e]ed$/.test(head) || ['had', 'gave', 'led', 'was', 'were', 'did'].includes(head)) return 'did';
+        if (/s$/.test(head) && !/ss$/.test(head)) return 'does';
+        return 'do';
+    }
+
+    /**
+     * Convert an inflected verb (with optional particle) to its base form
+     */
+    toBaseForm(verb) {
+        const [head, ...rest] = verb.split(' ');
+        let base = head;
+
+        if (CONFIG.IRREGULAR_VERBS[head]) {
+            base = CONFIG.IRREGULAR_VERBS[head];
+        } else if (/ies$|ied$/.test(head)) {
+            base = head.slice(0, -3) + 'y';
+        } else if (/(?:ss|sh|ch|x|z)es$/.test(head)) {
+            base = head.slice(0, -2);
+        } else if (/s$/.test(head) && !/ss$/.test(head)) {
+            base = head.slice(0, -1);
+        } else if (/([^aeiouls])\1ed$/.test(head)) {
+            base = head.slice(0, -3);
+        } else if (/(?:at|iz|ir|id|ud|bl|us|iv|ov|av|ur|as)ed$/.test(head)) {
+            base = head.slice(0, -1);
+        } else if (/[^e]ed$/.test(head)) {
+            base = head.slice(0, -2);
+        }
+
+        return [base, ...rest].join(' ');
+    }
+}
+
+// ===================================
+// FAQ GENERATOR
+// ===================================
+class FAQGenerator {
+    constructor(analyzer, options = {}) {
+        this.analyzer = analyzer;
+        this.options = {
+            answerMode: 'sentence',
+            includeFollowUp: false,
+            ...options
+        };
+        this.language = LanguageSupport.get(analyzer.language);
+        this.templates = new QuestionTemplateEngine(
+            options.questionPatterns || this.language.questionPatterns,
+            analyzer.originalText,
+            { stopWords: analyzer.stopWords, capitalizedNouns: this.language.capitalizedNouns }
+        );
+    }
+
+    /**
+     * Generator options from generation settings; custom templates apply on top of the language's built-in ones
+     */
+    static optionsFor(language, settings = {}) {
+        return {
+            questionPatterns: QuestionTemplateEngine.mergePatterns(
+                LanguageSupport.get(language).questionPatterns,
+                settings.questionPatterns || []
+            ),
+            answerMode: settings.answerMode || 'sentence',
+            includeFollowUp: Boolean(settings.includeFollowUp),
+            selectionMode: settings.selectionMode || 'score'
+        };
+    }
+
+    /**
+     * Resolve the FAQ count setting to a concrete number
+     * "auto" scales with the number of sentences and their topical diversity
+     */
+    resolveCount(setting) {
+        if (setting !== 'auto') return setting;
+
+        const available = this.analyzer.sentences.length;
+        const diversity = this.analyzer.calculateTopicalDiversity();
+        const count = Math.round(Math.sqrt(available) * (0.5 + diversity));
+        const clamped = Math.max(CONFIG.AUTO_FAQ_MIN, Math.min(CONFIG.AUTO_FAQ_MAX, count));
+        return Math.min(clamped, available);
+    }
+
+    /**
+     * Generate FAQs from the analyzed text
+     * @param {number|'auto'} countSetting - Requested number of FAQs
+     * @param {Array} pinned - FAQs to keep; they count towards the target and their sentences are not reused
+     */
+    generate(countSetting = CONFIG.FAQ_COUNT, pinned = []) {
+        const target = this.resolveCount(countSetting);
+        this.targetCount = target;
+        this.allocation = null;
+
+        if (this.options.selectionMode === 'coverage') return this.generateWithCoverage(target, pinned);
+
+        const scoredSentences = this.analyzer.scoreSentences();
+        const faqs = [];
+        const usedSentences = new Set(pinned.map(faq => this.findSentence(faq)).filter(Boolean).map(sentence => sentence.index));
+        const needed = Math.max(0, target - pinned.length);
+
+        // Select top sentences ensuring diversity
+        for (const sentence of scoredSentences) {
+            if (faqs.length >= needed) break;
+            if (usedSentences.has(sentence.index)) continue;
+
+            // Check similarity with already selected sentences
+            if (this.isTooSimilar(sentence, Array.from(usedSentences).map(i =>
+                scoredSentences.find(s => s.index === i)
+            ).filter(Boolean))) {
+                continue;
+            }
+
+            const faq = this.createFAQ(sentence, faqs.length + 1);
+            if (faq) {
+                faqs.push(faq);
+                usedSentences.add(sentence.index);
+            }
+        }
+
+        // If we don't have enough FAQs, be less strict
+        if (faqs.length < needed) {
+            for (const sentence of scoredSentences) {
+                if (faqs.length >= needed) break;
+                if (usedSentences.has(sentence.index)) continue;
+
+                const faq = this.createFAQ(sentence, faqs.length + 1);
+                if (faq) {
+                    faqs.push(faq);
+                    usedSentences.add(sentence.index);
+                }
+            }
+        }
+
+        return this.mergePinned(faqs, pinned);
+    }
+
+    /**
+     * Spread FAQs over the document's sections in proportion to their size,
+     * taking each section's best sentences; unfilled shares go to the best sentences elsewhere
+     */
+    generateWithCoverage(target, pinned = []) {
+        const sections = this.analyzer.findSections();
+        const sectionOf = this.sectionIndex(sections);
+        const scoredSentences = this.analyzer.scoreSentences();
+        const used = pinned.map(faq => this.findSentence(faq)).filter(Boolean);
+        const faqs = [];
+
+        const shares = FAQGenerator.allocate(target, sections.map(section => section.sentences.length));
+        this.allocation = new Map(sections.map((section, index) => [section.id, shares[index]]));
+
+        const take = (sentence, allowSimilar) => {
+            if (used.some(item => item.index === sentence.index)) return false;
+            if (!allowSimilar && this.isTooSimilar(sentence, used)) return false;
+
+            const faq = this.createFAQ(sentence, 0);
+            if (!faq) return false;
+            faqs.push(faq);
+            used.push(sentence);
+            return true;
+        };
+
+        sections.forEach((section, index) => {
+            // Pinned FAQs already in the section count towards its share
+            let open = shares[index] - used.filter(sentence => sectionOf.get(sentence.index) === section).length;
+            const candidates = scoredSentences.filter(sentence => sectionOf.get(sentence.index) === section);
+
+            for (const allowSimilar of [false, true]) {
+                for (const sentence of candidates) {
+                    if (open <= 0) break;
+                    if (take(sentence, allowSimilar)) open--;
+                }
+            }
+        });
+
+        for (const sentence of scoredSentences) {
+            if (faqs.length + pinned.length >= target) break;
+            take(sentence, false);
+        }
+
+        // Walking the document section by section reads best in source order
+        faqs.sort((a, b) => a.referenceSpan.start - b.referenceSpan.start);
+        faqs.forEach((faq, index) => { faq.number = index + 1; });
+        return this.mergePinned(faqs.slice(0, Math.max(0, target - pinned.length)), pinned);
+    }
+
+    /**
+     * Split a total into whole shares proportional to the sizes (largest remainder method)
+     * When there are at least as many items as sizes, every size gets one first
+     */
+    static allocate(total, sizes) {
+        const shares = sizes.map(() => 0);
+        let remaining = total;
+        if (total >= sizes.length) {
+            shares.fill(1);
+            remaining -= sizes.length;
+        }
+
+        const sum = sizes.reduce((acc, size) => acc + size, 0) || 1;
+        const exact = sizes.map(size => remaining * size / sum);
+        exact.forEach((value, index) => { shares[index] += Math.floor(value); });
+
+        const leftover = total - shares.reduce((acc, share) => acc + share, 0);
+        exact
+            .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+            .sort((a, b) => b.remainder - a.remainder || sizes[b.index] - sizes[a.index])
+            .slice(0, leftover)
+            .forEach(({ index }) => { shares[index]++; });
+
+        return shares;
+    }
+
+    /**
+     * Map each sentence index to its section
+     */
+    sectionIndex(sections) {
+        const sectionOf = new Map();
+        sections.forEach(section => section.sentences.forEach(index => sectionOf.set(index, section)));
+        return sectionOf;
+    }
+
+    /**
+     * Which sections the FAQs come from, and which were skipped
+     * @returns {Array<{ id, label, kind, sentenceCount, allocated, faqNumbers, status }>}
+     */
+    coverageReport(faqs) {
+        const sections = this.analyzer.findSections();
+        const sectionOf = this.sectionIndex(sections);
+        const faqNumbers = new Map(sections.map(section => [section, []]));
+
+        faqs.forEach(faq => {
+            const sentence = this.findSentence(faq);
+            if (sentence) faqNumbers.get(sectionOf.get(sentence.index)).push(faq.number);
+        });
+
+        return sections.map(section => ({
+            id: section.id,
+            label: section.label,
+            kind: section.kind,
+            sentenceCount: section.sentences.length,
+            allocated: this.allocation ? this.allocation.get(section.id) : null,
+            faqNumbers: faqNumbers.get(section).sort((a, b) => a - b),
+            status: faqNumbers.get(section).length ? 'covered' : 'skipped'
+        }));
+    }
+
+    /**
+     * Generate one FAQ per chosen topic from its best-scored sentence
+     * Topics without a usable sentence are listed in this.missedTopics
+     * @param {Array} topics - Topics from TextAnalyzer.extractTopics()
+     * @param {Array} pinned - FAQs to keep; their sentences are not reused
+     */
+    generateForTopics(topics, pinned = []) {
+        this.targetCount = topics.length + pinned.length;
+        this.allocation = null;
+        this.missedTopics = [];
+
+        const scoredSentences = this.analyzer.scoreSentences();
+        const used = pinned.map(faq => this.findSentence(faq)).filter(Boolean);
+        const faqs = [];
+
+        topics.forEach(topic => {
+            const usedIndices = new Set(used.map(sentence => sentence.index));
+            const candidates = scoredSentences
+                .filter(sentence => topic.sentences.includes(sentence.index) && !usedIndices.has(sentence.index));
+            // Prefer a sentence unlike the ones already chosen, but any sentence on the topic will do
+            const ordered = [
+                ...candidates.filter(sentence => !this.isTooSimilar(sentence, used)),
+                ...candidates.filter(sentence => this.isTooSimilar(sentence, used))
+            ];
+
+            for (const sentence of ordered) {
+                const faq = this.createFAQ(sentence, faqs.length + 1);
+                if (faq) {
+                    faq.topic = topic.label;
+                    faqs.push(faq);
+                    used.push(sentence);
+                    return;
+                }
+            }
+            this.missedTopics.push(topic.label);
+        });
+
+        return this.mergePinned(faqs, pinned);
+    }
+
+    /**
+     * Put pinned FAQs back at their numbers and fill the gaps with new ones
+     */
+    mergePinned(generated, pinned) {
+        const slots = new Array(generated.length + pinned.length).fill(null);
+
+        [...pinned].sort((a, b) => a.number - b.number).forEach(faq => {
+            let slot = Math.min(faq.number, slots.length) - 1;
+            while (slots[slot]) slot = (slot + 1) % slots.length;
+            slots[slot] = faq;
+        });
+
+        const queue = [...generated];
+        return slots.map((faq, index) => {
+            const placed = faq || queue.shift();
+            placed.number = index + 1;
+            return placed;
+        });
+    }
+
+    /**
+     * The next-ranked FAQ to swap in for one card: its sentence is not used by
+     * any current FAQ or skipped before, and is not too similar to the others
+     * @param {Set<number>} skipped - Sentence indices already swapped out
+     * @returns {Object|null}
+     */
+    replacement(faq, faqs, skipped = new Set()) {
+        const others = faqs.filter(item => item !== faq).map(item => this.findSentence(item)).filter(Boolean);
+        const current = this.findSentence(faq);
+        const used = new Set([...skipped, ...others.map(sentence => sentence.index)]);
+        if (current) used.add(current.index);
+
+        for (const sentence of this.analyzer.scoreSentences()) {
+            if (used.has(sentence.index) || this.isTooSimilar(sentence, others)) continue;
+
+            const candidate = this.createFAQ(sentence, faq.number);
+            if (candidate) return candidate;
+        }
+
+        return null;
+    }
+
+    /**
+     * Sentence a FAQ was generated from, found by where its reference starts
+     */
+    findSentence(faq) {
+        const start = faq.referenceSpan.start;
+        return this.analyzer.sentences.find(sentence => start >= sentence.start && start < sentence.end) || null;
+    }
+
+    /**
+     * Check if a sentence is too similar to already selected ones
+     */
+    isTooSimilar(sentence, selectedSentences) {
+        if (!selectedSentences.length) return false;
+
+        for (const selected of selectedSentences) {
+            if (!selected) continue;
+            const similarity = this.calculateSimilarity(sentence.words, selected.words);
+            if (similarity > 0.5) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Calculate Jaccard similarity between two word sets
+     */
+    calculateSimilarity(words1, words2) {
+        const set1 = new Set(words1);
+        const set2 = new Set(words2);
+        const intersection = new Set([...set1].filter(x => set2.has(x)));
+        const union = new Set([...set1, ...set2]);
+        return intersection.size / union.size;
+    }
+
+    /**
+     * Create a single FAQ from a sentence
+     */
+    createFAQ(sentence, number) {
+        const question = this.generateQuestion(sentence);
+        if (!question) return null;
+
+        const answerSpan = this.generateAnswer(sentence, question);
+        if (answerSpan.end <= answerSpan.start) return null;
+
+        // The reference always covers the whole source sentence plus any follow-up
+        const referenceSpan = {
+            start: Math.min(sentence.start, answerSpan.start),
+            end: Math.max(sentence.end, answerSpan.end)
+        };
+        const source = this.analyzer.originalText;
+
+        return {
+            number,
+            question,
+            answer: source.slice(answerSpan.start, answerSpan.end),
+            answerSpan,
+            reference: source.slice(referenceSpan.start, referenceSpan.end),
+            referenceSpan,
+            headingPath: sentence.headingPath || [],
+            language: this.language.code,
+            sourceIndex: sentence.index
+        };
+    }
+
+    /**
+     * Generate a question from a declarative sentence
+     */
+    generateQuestion(sentence) {
+        const text = sentence.text.replace(/[.!?\u0964]$/, '').trim();
+
+        const topic = this.getTopic(sentence);
+
+        // Fill the first matching question template from the sentence's own words
+        const question = this.templates.generate(text, topic);
+        if (question) return question;
+
+        // Fallback: keyword heuristics about the sentence's opening phrase,
+        // or its section topic when the sentence opens with a pronoun
+        if (this.language.code !== 'en') {
+            return this.language.fallbackQuestion.replace('{subject}', this.extractNounPhrase(text));
+        }
+
+        const subject = this.extractSubject(text);
+        const opener = subject.split(/\s+/)[0];
+        return this.formatQuestion(text, topic && CONFIG.PRONOUN_SUBJECTS.test(opener) ? topic : this.templates.caseSubject(subject));
+    }
+
+    /**
+     * Nearest heading of the sentence, without its section numbering
+     */
+    getTopic(sentence) {
+        const headingPath = sentence.headingPath || [];
+        if (!headingPath.length) return null;
+
+        return headingPath[headingPath.length - 1].replace(/^\d+(?:\.\d+)*\.?\s+/, '') || null;
+    }
+
+    /**
+     * Opening noun phrase of a sentence for the non-English fallback question:
+     * leading function words (articles, determiners) plus the content words
+     * up to the next function word, or the next lowercase word where nouns are capitalised
+     */
+    extractNounPhrase(text) {
+        const stopWords = this.analyzer.stopWords;
+        const words = text.split(/[,;:]/)[0].trim().split(/\s+/);
+        const phrase = [];
+
+        for (const word of words) {
+            const bare = word.toLowerCase().replace(/[^\p{L}\p{M}\p{N}-]/gu, '');
+            const hasContent = phrase.some(taken => !stopWords.has(taken.toLowerCase()));
+            const endsPhrase = stopWords.has(bare) ||
+                (this.language.capitalizedNouns && !/^\p{Lu}/u.test(word));
+
+            if (phrase.length >= 5 || (hasContent && endsPhrase)) break;
+            phrase.push(word);
+        }
+
+        // Function words read lowercase mid-question; nouns and names keep their capitals
+        if (stopWords.has(phrase[0].toLowerCase())) phrase[0] = phrase[0].toLowerCase();
+        return phrase.join(' ');
+    }
+
+    /**
+     * Extract the main subject from a sentence
+     */
+    extractSubject(text) {
+        // Remove leading articles
+        let subject = text.replace(/^(?:the|a|an)\s+/i, '');
+
+        // Take first meaningful phrase
+        const phrases = subject.split(/[,;:]/);
+        subject = phrases[0].trim();
+
+        // Stop before the verb: "Data is stored ..." is about data
+        subject = subject.split(/\s+(?:is|are|was|were|can|could|may|might|must|should|shall|will|would)\b/i)[0];
+
+        // Limit length
+        const words = subject.split(/\s+/);
+        if (words.length > 5) {
+            subject = words.slice(0, 5).join(' ');
+        }
+
+        return subject;
+    }
+
+    /**
+     * Format a question based on sentence content
+     */
+    formatQuestion(text, subject) {
+        const lowerText = text.toLowerCase();
+
+        // Detect the type of information and generate appropriate question
+        if (/\b(?:is|are|was|were)\s+(?:a|an|the)?\s*(?:type|kind|form|example)/i.test(text)) {
+            return `What type is ${subject}?`;
+        }
+
+        if (/\bpercent|%|\b\d+\s*(?:times|percent|million|billion)/i.test(text)) {
+            return `What is the quantity or percentage related to ${subject}?`;
+        }
+
+        if (/\b(?:causes?|leads?\s+to|results?\s+in)/i.test(text)) {
+            return `What are the effects or results of ${subject}?`;
+        }
+
+        if (/\b(?:because|since|due\s+to|reason)/i.test(text)) {
+            return `Why is ${subject} significant?`;
+        }
+
+        if (/\b(?:helps?|enables?|allows?|supports?)/i.test(text)) {
+            return `How does ${subject} help or enable outcomes?`;
+        }
+
+        if (/\b(?:requires?|needs?|must|should)/i.test(text)) {
+            return `What are the requirements for ${subject}?`;
+        }
+
+        if (/\b(?:includes?|contains?|consists?|comprises?)/i.test(text)) {
+            return `What does ${subject} include or contain?`;
+        }
+
+        if (/\b(?:located|found|exists?|occurs?)/i.test(text)) {
+            return `Where or when does ${subject} occur?`;
+        }
+
+        if (/\b(?:process|method|way|approach|technique)/i.test(text)) {
+            return `What is the process or method for ${subject}?`;
+        }
+
+        // Default question format
+        return `What should be known about ${subject}?`;
+    }
+
+    /**
+     * Select the answer strictly from the source text
+     * Returns offsets so the answer is always a literal slice of the original
+     */
+    generateAnswer(sentence, question) {
+        let span = { start: sentence.start, end: sentence.end };
+
+        if (this.options.answerMode === 'clause') {
+            span = this.selectAnswerClause(sentence, question);
+        }
+
+        if (this.options.includeFollowUp) {
+            const followUp = this.getFollowUpSentence(sentence);
+            if (followUp) span = { start: span.start, end: followUp.end };
+        }
+
+        return span;
+    }
+
+    /**
+     * Find the smallest clause of the sentence that carries the question's key terms
+     */
+    selectAnswerClause(sentence, question) {
+        const questionStems = new Set(this.analyzer.tokenize(question).map(TextAnalyzer.stem));
+        const clauses = this.splitClauses(sentence);
+
+        const countTerms = (fragment) => new Set(
+            this.analyzer.tokenize(fragment.text)
+                .map(TextAnalyzer.stem)
+                .filter(stem => questionStems.has(stem))
+        ).size;
+
+        let best = null;
+        let bestCount = 0;
+        clauses.forEach(clause => {
+            const count = countTerms(clause);
+            if (count > bestCount) {
+                best = clause;
+                bestCount = count;
+            }
+        });
+
+        if (!best) return { start: sentence.start, end: sentence.end };
+
+        // Drop introductory fragments that don't mention the question's terms
+        let fragments = best.fragments;
+        while (fragments.length > 1 && countTerms(fragments[0]) === 0) {
+            fragments = fragments.slice(1);
+        }
+
+        // The reason or means usually comes after the clause naming the subject
+        const next = clauses[clauses.indexOf(best) + 1];
+        const end = next && CONFIG.EXPLANATION_QUESTIONS.test(question)
+            ? next.end
+            : fragments[fragments.length - 1].end;
+
+        return { start: fragments[0].start, end };
+    }
+
+    /**
+     * Split a sentence into clauses made of comma-separated fragments
+     * Semicolons, dashes and commas before a clause opener end a clause;
+     * other commas (lists, appositives) keep the fragments together
+     */
+    splitClauses(sentence) {
+        const text = sentence.text;
+        const clauses = [];
+        let fragments = [];
+        let fragmentStart = 0;
+        const delimiter = /\s*(?:[,;:]|\s[\u2014\u2013-])\s+/g;
+        let match;
+
+        const pushFragment = (end) => {
+            const span = this.analyzer.trimSpan(text, fragmentStart, end);
+            if (span.end > span.start) {
+                fragments.push({
+                    text: text.slice(span.start, span.end),
+                    start: sentence.start + span.start,
+                    end: sentence.start + span.end
+                });
+            }
+        };
+
+        const closeClause = () => {
+            if (!fragments.length) return;
+            clauses.push({
+                fragments,
+                text: fragments.map(fragment => fragment.text).join(' '),
+                start: fragments[0].start,
+                end: fragments[fragments.length - 1].end
+            });
+            fragments = [];
+        };
+
+        while ((match = delimiter.exec(text)) !== null) {
+            pushFragment(match.index);
+            fragmentStart = match.index + match[0].length;
+
+            const isStrong = /[;\u2014\u2013-]/.test(match[0]) ||
+                CONFIG.CLAUSE_OPENERS.test(text.slice(fragmentStart));
+            if (isStrong) closeClause();
+        }
+
+        // Leave the sentence's closing punctuation out of the final fragment
+        const tail = text.slice(fragmentStart).replace(/[.!?]+$/, '');
+        pushFragment(fragmentStart + tail.length);
+        closeClause();
+
+        return clauses;
+    }
+
+    /**
+     * Return the next sentence when it directly follows and refers back with a pronoun
+     */
+    getFollowUpSentence(sentence) {
+        const next = this.analyzer.sentences[sentence.index + 1];
+        if (!next) return null;
+
+        const gap = this.analyzer.originalText.slice(sentence.end, next.start);
+        if (gap.trim() !== '') return null;
+
+        return CONFIG.FOLLOW_UP_PRONOUNS.test(next.text) ? next : null;
+    }
+}
+
+// ===================================
+// FAQ VERIFIER
+// ===================================
+class FAQVerifier {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.sourceText = analyzer.originalText;
+        this.normalizedSource = FAQVerifier.normalize(this.sourceText);
+        // Words the question templates add themselves, in English and the document's language
+        this.scaffoldWords = new Set([
+            ...CONFIG.QUESTION_SCAFFOLD_WORDS,
+            ...LanguageSupport.get(analyzer.language).templateWords
+        ]);
+    }
+
+    /**
+     * Normalise text for grounding checks: Unicode form, quotes, dashes and whitespace
+     */
+    static normalize(text) {
+        return text
+            .normalize('NFKC')
+            .replace(/[\u2018\u2019\u201A\u201B]/g, "'")
+            .replace(/[\u201C\u201D\u201E\u201F]/g, '"')
+            .replace(/[\u2010-\u2015]/g, '-')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Verify every FAQ and attach the result as faq.verification
+     */
+    verifyAll(faqs) {
+        faqs.forEach(faq => {
+            faq.verification = this.verify(faq);
+        });
+        return faqs;
+    }
+
+    /**
+     * Run all grounding checks for one FAQ. A hand-typed answer is never verified,
+     * even when its words happen to appear in the source.
+     * @returns {{status: 'pass'|'fail'|'unverified', checks: Array<{id, label, passed, detail}>}}
+     */
+    verify(faq) {
+        const checks = [
+            this.checkAnswerOrigin(faq),
+            this.checkGrounded('answer', 'Answer is quoted from the source', faq.answer),
+            this.checkGrounded('reference', 'Reference is quoted from the source', faq.reference),
+            this.checkOffsets(faq),
+            this.checkQuestionTerms(faq)
+        ];
+
+        let status = checks.every(check => check.passed) ? 'pass' : 'fail';
+        if (faq.answerOrigin === 'typed') status = 'unverified';
+
+        return { status, checks };
+    }
+
+    checkAnswerOrigin(faq) {
+        const typed = faq.answerOrigin === 'typed';
+
+        return {
+            id: 'answerOrigin',
+            label: 'Answer is selected from the source',
+            passed: !typed,
+            detail: typed ? 'Answer was typed by hand' : 'Answer is a span of the source'
+        };
+    }
+
+    checkGrounded(id, label, text) {
+        const normalized = FAQVerifier.normalize(text || '');
+        const passed = normalized.length > 0 && this.normalizedSource.includes(normalized);
+
+        return {
+            id,
+            label,
+            passed,
+            detail: passed ? 'Found verbatim in the source' : 'Not found in the source text'
+        };
+    }
+
+    /**
+     * Recorded offsets must point at exactly the quoted text
+     */
+    checkOffsets(faq) {
+        const { answerSpan, referenceSpan } = faq;
+        const spansMatch = Boolean(answerSpan && referenceSpan) &&
+            this.sourceText.slice(answerSpan.start, answerSpan.end) === faq.answer &&
+            this.sourceText.slice(referenceSpan.start, referenceSpan.end) === faq.reference &&
+            answerSpan.start >= referenceSpan.start &&
+            answerSpan.end <= referenceSpan.end;
+
+        return {
+            id: 'offsets',
+            label: 'Offsets point to the quoted text',
+            passed: spansMatch,
+            detail: spansMatch
+                ? `Characters ${referenceSpan.start}-${referenceSpan.end}`
+                : 'Recorded offsets do not match the quoted text'
+        };
+    }
+
+    /**
+     * Every key term of the question must appear in the referenced passage or its section headings
+     */
+    checkQuestionTerms(faq) {
+        const groundedHeadings = (faq.headingPath || [])
+            .filter(heading => this.normalizedSource.includes(FAQVerifier.normalize(heading)));
+        const passage = [faq.reference, ...groundedHeadings].join(' ');
+        const referenceStems = new Set(this.analyzer.tokenize(passage).map(TextAnalyzer.stem));
+        const terms = [...new Set(this.analyzer.tokenize(faq.question))]
+            .filter(word => !this.scaffoldWords.has(word));
+        const missing = terms.filter(word => !referenceStems.has(TextAnalyzer.stem(word)));
+
+        return {
+            id: 'questionTerms',
+            label: 'Question terms appear in the reference',
+            passed: missing.length === 0,
+            detail: missing.length ? `Missing: ${missing.join(', ')}` : `${terms.length} key terms found`
+        };
+    }
+}
+
+// ===================================
+// REFERENCE TRACKING
+// ===================================
+/**
+ * Re-locates FAQ references in a revised source: a reference is unchanged at its
+ * recorded offsets, moved when its text is found elsewhere, or missing
+ */
+class ReferenceTracker {
+    constructor(sourceText) {
+        this.sourceText = sourceText;
+    }
+
+    /**
+     * Match text with any run of whitespace in place of its own, so re-extracted
+     * PDFs and rewrapped lines still count as the same passage
+     */
+    static flexiblePattern(text) {
+        const words = text.trim().split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return new RegExp(words.join('\\s+'), 'g');
+    }
+
+    /**
+     * Re-check every FAQ, moving its spans to where the reference now is
+     * and attaching the outcome as faq.referenceCheck
+     */
+    trackAll(faqs) {
+        const checkedAt = new Date().toISOString();
+        faqs.forEach(faq => {
+            faq.referenceCheck = { ...this.track(faq), checkedAt };
+        });
+        return faqs;
+    }
+
+    /**
+     * @param {number} near - Where to expect the reference when it occurs more than once
+     * @returns {{status: 'unchanged'|'moved'|'missing', previousSpan: {start, end}, shift?: number}}
+     */
+    track(faq, near = faq.referenceSpan.start) {
+        const previousSpan = { ...faq.referenceSpan };
+        if (near === previousSpan.start && this.sourceText.slice(previousSpan.start, previousSpan.end) === faq.reference) {
+            return { status: 'unchanged', previousSpan };
+        }
+
+        const found = this.locate(faq.reference, near);
+        if (!found) return { status: 'missing', previousSpan };
+
+        const answerOffset = faq.answerSpan ? faq.answerSpan.start - previousSpan.start : null;
+        faq.reference = this.sourceText.slice(found.start, found.end);
+        faq.referenceSpan = found;
+        if (faq.answerSpan) faq.answerSpan = this.locateAnswer(faq, answerOffset);
+
+        return { status: 'moved', previousSpan, shift: found.start - previousSpan.start };
+    }
+
+    /**
+     * The occurrence nearest the old offset, verbatim if possible, otherwise allowing
+     * for changed whitespace
+     */
+    locate(text, near) {
+        // An empty string is found at every offset; it cannot place a reference
+        if (!text || !text.trim()) return null;
+
+        const nearest = matches => matches.reduce((best, match) =>
+            Math.abs(match.start - near) < Math.abs(best.start - near) ? match : best);
+
+        const exact = [];
+        for (let index = this.sourceText.indexOf(text); index !== -1; index = this.sourceText.indexOf(text, index + 1)) {
+            exact.push({ start: index, end: index + text.length });
+        }
+        if (exact.length) return nearest(exact);
+
+        const flexible = [...this.sourceText.matchAll(ReferenceTracker.flexiblePattern(text))]
+            .map(match => ({ start: match.index, end: match.index + match[0].length }));
+        return flexible.length ? nearest(flexible) : null;
+    }
+
+    /**
+     * The answer keeps its place inside the moved reference; if the reference
+     * was rewrapped, search for it within the reference instead
+     */
+    locateAnswer(faq, offset) {
+        const { start, end } = faq.referenceSpan;
+        if (this.sourceText.slice(start + offset, start + offset + faq.answer.length) === faq.answer) {
+            return { start: start + offset, end: start + offset + faq.answer.length };
+        }
+
+        const match = ReferenceTracker.flexiblePattern(faq.answer).exec(faq.reference);
+        if (!match) return faq.answerSpan;
+
+        faq.answer = match[0];
+        return { start: start + match.index, end: start + match.index + match[0].length };
+    }
+}
+
+/**
+ * Sentence-level diff of two versions of a source, using each version's TextAnalyzer
+ * segmentation. Sentences are matched by longest common subsequence; a removed and an
+ * added sentence between the same matches are paired as an edit when they share enough key terms.
+ */
+class DocumentDiff {
+    constructor(oldAnalyzer, newAnalyzer) {
+        this.oldAnalyzer = oldAnalyzer;
+        this.newAnalyzer = newAnalyzer;
+        this.oldUnits = DocumentDiff.units(oldAnalyzer);
+        this.newUnits = DocumentDiff.units(newAnalyzer);
+        this.changes = this.compare();
+
+        this.changeByOld = new Map();
+        this.changes.forEach(change => {
+            if (change.old) this.changeByOld.set(change.old.index, change);
+        });
+    }
+
+    /**
+     * Every sentence span of the analyzed text, including the short ones and headings
+     * the analyzer skips, so any reference falls within a unit
+     */
+    static units(analyzer) {
+        const text = analyzer.originalText;
+        return analyzer.splitSentenceSpans(text).map((span, index) => {
+            const sentence = text.slice(span.start, span.end);
+            return {
+                index,
+                start: span.start,
+                end: span.end,
+                text: sentence,
+                key: FAQVerifier.normalize(sentence),
+                terms: new Set(analyzer.tokenize(sentence))
+            };
+        });
+    }
+
+    static similarity(a, b) {
+        const shared = [...a.terms].filter(term => b.terms.has(term)).length;
+        const union = a.terms.size + b.terms.size - shared;
+        return union ? shared / union : 0;
+    }
+
+    /**
+     * @returns {Array<{type: 'unchanged'|'edited'|'removed'|'added', old, new, similarity?}>} in document order
+     */
+    compare() {
+        const before = this.oldUnits;
+        const after = this.newUnits;
+
+        // Skip the common head and tail so the table only covers the revised stretch
+        let head = 0;
+        while (head < before.length && head < after.length && before[head].key === after[head].key) head++;
+        let tail = 0;
+        while (tail < before.length - head && tail < after.length - head &&
+            before[before.length - 1 - tail].key === after[after.length - 1 - tail].key) tail++;
+
+        const rows = before.length - head - tail;
+        const cols = after.length - head - tail;
+        const width = cols + 1;
+        const lcs = new Uint32Array((rows + 1) * width);
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = cols - 1; j >= 0; j--) {
+                lcs[i * width + j] = before[head + i].key === after[head + j].key
+                    ? lcs[(i + 1) * width + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+            }
+        }
+
+        const changes = before.slice(0, head).map((unit, index) => ({ type: 'unchanged', old: unit, new: after[index] }));
+        let removed = [];
+        let added = [];
+        const flush = () => {
+            changes.push(...this.pairEdits(removed, added));
+            removed = [];
+            added = [];
+        };
+
+        let i = 0;
+        let j = 0;
+        while (i < rows || j < cols) {
+            if (i < rows && j < cols && before[head + i].key === after[head + j].key) {
+                flush();
+                changes.push({ type: 'unchanged', old: before[head + i], new: after[head + j] });
+                i++;
+                j++;
+            } else if (j < cols && (i === rows || lcs[i * width + j + 1] >= lcs[(i + 1) * width + j])) {
+                added.push(after[head + j++]);
+            } else {
+                removed.push(before[head + i++]);
+            }
+        }
+        flush();
+
+        for (let k = tail; k > 0; k--) {
+            changes.push({ type: 'unchanged', old: before[before.length - k], new: after[after.length - k] });
+        }
+        return changes;
+    }
+
+    /**
+     * Pair each removed sentence with the most similar later-unpaired added sentence of the same gap
+     */
+    pairEdits(removed, added) {
+        const changes = [];
+        let next = 0;
+
+        removed.forEach(oldUnit => {
+            let best = null;
+            for (let k = next; k < added.length; k++) {
+                const similarity = DocumentDiff.similarity(oldUnit, added[k]);
+                if (similarity >= CONFIG.REVISION_EDIT_SIMILARITY && (!best || similarity > best.similarity)) {
+                    best = { index: k, similarity };
+                }
+            }
+
+            if (!best) {
+                changes.push({ type: 'removed', old: oldUnit, new: null });
+                return;
+            }
+            // Added sentences before the pair stay additions
+            added.slice(next, best.index).forEach(unit => changes.push({ type: 'added', old: null, new: unit }));
+            changes.push({ type: 'edited', old: oldUnit, new: added[best.index], similarity: best.similarity });
+            next = best.index + 1;
+        });
+
+        added.slice(next).forEach(unit => changes.push({ type: 'added', old: null, new: unit }));
+        return changes;
+    }
+
+    counts() {
+        const counts = { unchanged: 0, edited: 0, removed: 0, added: 0 };
+        this.changes.forEach(change => counts[change.type]++);
+        return counts;
+    }
+
+    /**
+     * How the revision affects a FAQ: unchanged when every sentence of its reference survives
+     * (and the reference is still found), removed when they are all gone, otherwise edited
+     * @returns {{status: 'unchanged'|'edited'|'removed', near?: number, revised?: string}}
+     */
+    classify(faq) {
+        const { start, end } = faq.referenceSpan;
+        const changes = this.oldUnits
+            .filter(unit => unit.start < end && unit.end > start)
+            .map(unit => this.changeByOld.get(unit.index));
+
+        if (!changes.length || changes.every(change => change.type === 'removed')) return { status: 'removed' };
+
+        const revised = changes.filter(change => change.new).map(change => change.new.text).join(' ');
+        if (changes.every(change => change.type === 'unchanged')) {
+            // Map the start through its sentence, then confirm the whole reference is there
+            const near = changes[0].new.start + (start - changes[0].old.start);
+            if (new ReferenceTracker(this.newAnalyzer.originalText).locate(faq.reference, near)) {
+                return { status: 'unchanged', near };
+            }
+        }
+        return { status: 'edited', revised };
+    }
+
+    /**
+     * Added sentences that rank in the top share of the revised document, best first
+     */
+    suggestions(limit = CONFIG.REVISION_SUGGESTION_LIMIT) {
+        const ranked = this.newAnalyzer.scoreSentences();
+        if (!ranked.length) return [];
+
+        const cutoff = ranked[Math.max(0, Math.ceil(ranked.length * CONFIG.REVISION_SUGGESTION_SHARE) - 1)].importance;
+        const addedStarts = new Set(this.changes
+            .filter(change => change.type === 'added')
+            .map(change => change.new.start));
+
+        return ranked
+            .filter(sentence => addedStarts.has(sentence.start) && sentence.importance >= cutoff)
+            .slice(0, limit);
+    }
+}
+
+// ===================================
+// STRUCTURED TEXT BUILDER
+// ===================================
+class StructuredTextBuilder {
+    constructor() {
+        this.text = '';
+        this.segments = [];
+        this.headingPath = [];
+        this.paragraph = 0;
+    }
+
+    /**
+     * Segment plain text into blank-line separated paragraphs without altering it
+     */
+    static fromPlainText(text) {
+        const segments = [];
+        const paragraph = /\S[\s\S]*?(?=\n[^\S\n]*\n|\s*$)/g;
+        let match;
+
+        while ((match = paragraph.exec(text)) !== null) {
+            segments.push({
+                start: match.index,
+                end: match.index + match[0].length,
+                headingPath: [],
+                paragraph: segments.length + 1
+            });
+        }
+
+        return { text, segments };
+    }
+
+    /**
+     * Append a heading; following blocks are filed under it
+     * @param {number} level - 1 for a top-level heading
+     */
+    addHeading(level, title, meta = {}) {
+        const clean = title.replace(/\s+/g, ' ').trim();
+        if (!clean) return;
+
+        this.headingPath = [...this.headingPath.slice(0, level - 1), clean];
+        this.addBlock(clean, { ...meta, isHeading: true });
+    }
+
+    /**
+     * Append a block of text as its own paragraph
+     */
+    addBlock(text, meta = {}) {
+        const clean = text.replace(/\s+/g, ' ').trim();
+        if (!clean) return;
+
+        if (this.text) this.text += CONFIG.DOCUMENT_SEPARATOR;
+        const start = this.text.length;
+        this.text += clean;
+        this.paragraph++;
+
+        this.segments.push({
+            start,
+            end: this.text.length,
+            headingPath: [...this.headingPath],
+            paragraph: this.paragraph,
+            ...meta
+        });
+    }
+
+    build() {
+        return { text: this.text, segments: this.segments };
+    }
+}
+
+// ===================================
+// SOURCE CORPUS
+// ===================================
+class SourceCorpus {
+    /**
+     * Combine one or more documents into a single text with known offsets
+     * @param {Array<{name: string|null, text: string, segments?: Array}>} documents
+     */
+    constructor(documents = []) {
+        this.documents = [];
+        this.text = '';
+
+        documents.forEach(doc => {
+            if (this.documents.length) this.text += CONFIG.DOCUMENT_SEPARATOR;
+            const start = this.text.length;
+            this.text += doc.text;
+            this.documents.push({ ...doc, start, end: this.text.length });
+        });
+    }
+
+    /**
+     * All documents' segments with offsets into the combined text
+     */
+    get segments() {
+        return this.documents.flatMap(doc => (doc.segments || []).map(segment => ({
+            ...segment,
+            start: segment.start + doc.start,
+            end: segment.end + doc.start
+        })));
+    }
+
+    /**
+     * Find the document containing an absolute offset
+     */
+    locate(offset) {
+        return this.documents.find(doc => offset >= doc.start && offset <= doc.end) || null;
+    }
+
+    /**
+     * Describe an absolute span as a file, offsets within that file,
+     * and the page, heading path and paragraph it starts in
+     */
+    describeSpan(span) {
+        const doc = this.locate(span.start);
+        if (!doc) return null;
+
+        const start = span.start - doc.start;
+        const segment = (doc.segments || []).find(seg => start >= seg.start && start < seg.end);
+
+        return {
+            fileName: doc.name,
+            fileIndex: this.documents.indexOf(doc),
+            start,
+            end: span.end - doc.start,
+            page: segment && segment.page ? segment.page : null,
+            headingPath: segment ? segment.headingPath : [],
+            paragraph: segment ? segment.paragraph : null,
+            jsonPath: segment && segment.jsonPath ? segment.jsonPath : null
+        };
+    }
+}
+
+// ===================================
+// JSON PATH MAPPING
+// ===================================
+class JSONPathMapper {
+    /**
+     * Parse a JSONPath subset: $, .key, ['key'], [n], [*] and .*
+     * @returns {Array<string|number>} Keys, indices and '*' wildcards
+     */
+    static parsePath(path) {
+        const source = path.trim();
+        if (!source.startsWith('$')) throw new Error(`JSON path must start with $: ${path}`);
+
+        const tokens = [];
+        const step = /\.([A-Za-z_$][\w$-]*|\*)|\[\s*(?:(\d+)|\*|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)")\s*\]/y;
+        step.lastIndex = 1;
+
+        while (step.lastIndex < source.length) {
+            const index = step.lastIndex;
+            const match = step.exec(source);
+            if (!match) throw new Error(`Invalid JSON path at "${source.slice(index)}": ${path}`);
+
+            if (match[1] !== undefined) tokens.push(match[1]);
+            else if (match[2] !== undefined) tokens.push(Number(match[2]));
+            else if (match[3] !== undefined) tokens.push(match[3].replace(/\\(.)/g, '$1'));
+            else if (match[4] !== undefined) tokens.push(match[4].replace(/\\(.)/g, '$1'));
+            else tokens.push('*');
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Format concrete path tokens as a JSON path string
+     */
+    static formatPath(tokens) {
+        return '$' + tokens.map(token => {
+            if (typeof token === 'number' || token === '*') return `[${token}]`;
+            return /^[A-Za-z_$][\w$-]*$/.test(token) ? `.${token}` : `['${token.replace(/['\\]/g, '\\$&')}']`;
+        }).join('');
+    }
+
+    /**
+     * Every string value in document order
+     * @returns {Array<{tokens: Array, value: string}>}
+     */
+    static leaves(data, tokens = []) {
+        if (typeof data === 'string') return [{ tokens, value: data }];
+        if (Array.isArray(data)) return data.flatMap((item, index) => this.leaves(item, [...tokens, index]));
+        if (data && typeof data === 'object') {
+            return Object.entries(data).flatMap(([key, value]) => this.leaves(value, [...tokens, key]));
+        }
+        return [];
+    }
+
+    /**
+     * String values matched by a path, in document order
+     */
+    static query(data, path) {
+        const pattern = this.parsePath(path);
+
+        return this.leaves(data).filter(leaf =>
+            leaf.tokens.length === pattern.length &&
+            pattern.every((token, i) => token === '*' ? true : token === leaf.tokens[i])
+        );
+    }
+
+    /**
+     * Guess a mapping: paths holding prose are content, title-like keys are titles
+     * @returns {{contentPaths: string[], titlePaths: string[]}}
+     */
+    static detectMapping(data) {
+        const groups = new Map();
+
+        this.leaves(data).forEach(leaf => {
+            const general = this.formatPath(leaf.tokens.map(token => typeof token === 'number' ? '*' : token));
+            const key = [...leaf.tokens].reverse().find(token => typeof token === 'string');
+            if (!groups.has(general)) groups.set(general, { key, total: 0, prose: 0 });
+
+            const group = groups.get(general);
+            group.total++;
+            if (this.isProse(leaf.value)) group.prose++;
+        });
+
+        const titlePaths = [];
+        const contentPaths = [];
+
+        groups.forEach((group, path) => {
+            if (group.key && CONFIG.JSON_TITLE_KEYS.test(group.key)) {
+                titlePaths.push(path);
+            } else if (group.prose / group.total >= 0.5) {
+                contentPaths.push(path);
+            }
+        });
+
+        return { contentPaths, titlePaths };
+    }
+
+    /**
+     * Prose rather than an ID, URL, date or label
+     */
+    static isProse(value) {
+        const text = value.trim();
+        return text.length >= CONFIG.MIN_SENTENCE_LENGTH &&
+            text.split(/\s+/).length >= 4 &&
+            !/^(?:https?:\/\/|www\.)\S+$/i.test(text);
+    }
+
+    /**
+     * Build document text from mapped content values. Each value is its own paragraph,
+     * filed under the titles of its enclosing objects and tagged with its JSON path.
+     */
+    static build(data, mapping) {
+        const order = new Map(this.leaves(data).map((leaf, index) => [this.formatPath(leaf.tokens), index]));
+        const byOrder = (a, b) => order.get(this.formatPath(a.tokens)) - order.get(this.formatPath(b.tokens));
+        const unique = leaves => [...new Map(leaves.map(leaf => [this.formatPath(leaf.tokens), leaf])).values()];
+
+        const contents = unique(mapping.contentPaths.flatMap(path => this.query(data, path))).sort(byOrder);
+        const titles = unique(mapping.titlePaths.flatMap(path => this.query(data, path)));
+
+        const builder = new StructuredTextBuilder();
+        let emitted = [];
+
+        contents.forEach(content => {
+            // Titles whose parent object encloses this value, outermost first
+            const enclosing = titles
+                .filter(title => title.tokens.length - 1 < content.tokens.length &&
+                    title.tokens.slice(0, -1).every((token, i) => token === content.tokens[i]))
+                .sort((a, b) => a.tokens.length - b.tokens.length);
+
+            const paths = enclosing.map(title => this.formatPath(title.tokens));
+            const shared = paths.findIndex((path, i) => path !== emitted[i]);
+            const firstNew = shared === -1 ? paths.length : shared;
+
+            // Leaving a titled object closes its heading
+            if (firstNew < emitted.length) builder.headingPath = builder.headingPath.slice(0, firstNew);
+            enclosing.slice(firstNew).forEach((title, i) => {
+                builder.addHeading(firstNew + i + 1, title.value, { jsonPath: paths[firstNew + i] });
+            });
+            emitted = paths;
+
+            builder.addBlock(content.value, { jsonPath: this.formatPath(content.tokens) });
+        });
+
+        return builder.build();
+    }
+}
+
+// ===================================
+// FILE PARSER
+// ===================================
+class FileParser {
+    /**
+     * Parse a file and extract text content with structural segments
+     * Supports: TXT, PDF, DOCX, MD, JSON, HTML
+     * @returns {Promise<{text: string, segments: Array}>}
+     */
+    static async parse(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+
+        switch (extension) {
+            case 'txt':
+            case 'text':
+                return StructuredTextBuilder.fromPlainText(await this.parseTextFile(file));
+            case 'md':
+                return this.parseMarkdown(await this.parseTextFile(file));
+            case 'pdf':
+                return await this.parsePDF(file);
+            case 'docx':
+                return await this.parseDOCX(file);
+            case 'json':
+                return await this.parseJSON(file);
+            case 'html':
+            case 'htm':
+                return this.parseHTML(await this.parseTextFile(file));
+            default:
+                throw new Error(`Unsupported file format: .${extension}`);
+        }
+    }
+
+    /**
+     * Parse plain text files (TXT, MD)
+     */
+    static async parseTextFile(file) {
+        try {
+            return await file.text();
+        } catch (error) {
+            throw new Error('Failed to read text file');
+        }
+    }
+
+    /**
+     * Parse Markdown into prose blocks: syntax stripped, code dropped,
+     * list items and table rows as their own units, headings kept as structure
+     */
+    static parseMarkdown(markdown) {
+        const builder = new StructuredTextBuilder();
+        const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+        let paragraph = [];
+        let fence = null;
+        let i = 0;
+
+        const flush = () => {
+            if (paragraph.length) builder.addBlock(this.stripInlineMarkdown(paragraph.join(' ')));
+            paragraph = [];
+        };
+
+        // Skip YAML front matter
+        if (lines[0] && lines[0].trim() === '---') {
+            const end = lines.findIndex((line, index) => index > 0 && /^(?:---|\.\.\.)\s*$/.test(line));
+            if (end > 0) i = end + 1;
+        }
+
+        for (; i < lines.length; i++) {
+            let line = lines[i];
+
+            // Fenced code blocks are dropped: code is not prose to quote
+            const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+            if (fence) {
+                if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+                continue;
+            }
+            if (fenceMatch) {
+                flush();
+                fence = fenceMatch[1];
+                continue;
+            }
+
+            // Indented code blocks (only outside a paragraph)
+            if (!paragraph.length && /^(?: {4}|\t)/.test(line)) continue;
+
+            line = line.replace(/^\s{0,3}>\s?/, '');
+
+            if (!line.trim() || /^\s*<!--.*-->\s*$/.test(line) || /^\s{0,3}\[[^\]]+\]:\s+\S/.test(line)) {
+                flush();
+                continue;
+            }
+
+            const atxHeading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+            if (atxHeading) {
+                flush();
+                builder.addHeading(atxHeading[1].length, this.stripInlineMarkdown(atxHeading[2]));
+                continue;
+            }
+
+            // Setext heading underline directly under a paragraph line
+            const setext = line.match(/^\s{0,3}(=+|-+)\s*$/);
+            if (setext && paragraph.length) {
+                const title = this.stripInlineMarkdown(paragraph.join(' '));
+                paragraph = [];
+                builder.addHeading(setext[1][0] === '=' ? 1 : 2, title);
+                continue;
+            }
+
+            // Horizontal rule
+            if (/^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/.test(line)) {
+                flush();
+                continue;
+            }
+
+            // Table rows become "cell; cell" units; the alignment row is dropped
+            if (/^\s*\|.*\|\s*$/.test(line)) {
+                flush();
+                if (!/^[\s|:-]+$/.test(line)) {
+                    const cells = line.trim().replace(/^\||\|$/g, '').split('|')
+                        .map(cell => this.stripInlineMarkdown(cell.trim()))
+                        .filter(Boolean);
+                    builder.addBlock(cells.join('; '));
+                }
+                continue;
+            }
+
+            // Each list item is its own sentence unit; continuation lines join it
+            const listItem = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/);
+            if (listItem) {
+                flush();
+                paragraph.push(listItem[1].trim());
+                continue;
+            }
+
+            paragraph.push(line.trim());
+        }
+
+        flush();
+        return builder.build();
+    }
+
+    /**
+     * Remove inline Markdown syntax, keeping the readable text
+     */
+    static stripInlineMarkdown(text) {
+        return text
+            .replace(/!\[[^\]]*\]\([^)]*\)/g, '')          // images
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')        // inline links
+            .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')      // reference links
+            .replace(/<\/?[a-z][^>]*>/gi, '')               // inline HTML
+            .replace(/`([^`]+)`/g, '$1')                    // inline code
+            .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2') // bold
+            .replace(/(^|[^\w*])\*(?=\S)(.+?)(?<=\S)\*(?!\*)/g, '$1$2') // italic *
+            .replace(/(^|\W)_(?=\S)(.+?)(?<=\S)_(?!\w)/g, '$1$2') // italic _
+            .replace(/~~(.+?)~~/g, '$1')                    // strikethrough
+            .replace(/\\([\\`*_{}\[\]()#+\-.!>|])/g, '$1')   // escapes
+            .trim();
+    }
+
+    /**
+     * Parse PDF files using PDF.js, keeping page numbers and headings.
+     * The caller loads PDF.js and points pdfjsLib.GlobalWorkerOptions.workerSrc at its worker.
+     */
+    static async parsePDF(file) {
+        if (typeof pdfjsLib === 'undefined') {
+            throw new Error('PDF.js library not loaded. Please check your internet connection.');
+        }
+
+        const arrayBuffer = await file.arrayBuffer();
+        const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+
+        const pages = [];
+
+        for (let i = 1; i <= pdf.numPages; i++) {
+            const page = await pdf.getPage(i);
+            const textContent = await page.getTextContent();
+            pages.push(this.groupPDFLines(textContent.items));
+        }
+
+        return this.buildPDFStructure(pages);
+    }
+
+    /**
+     * Group PDF.js text items into lines with their baseline and font size
+     */
+    static groupPDFLines(items) {
+        const lines = [];
+        let current = null;
+
+        items.forEach(item => {
+            const y = item.transform[5];
+            const size = item.height || Math.abs(item.transform[3]);
+
+            if (!current || Math.abs(current.y - y) > Math.max(size, current.size) * 0.5) {
+                current = { text: '', y, size: 0 };
+                lines.push(current);
+            }
+
+            current.text += item.str + ' ';
+            current.size = Math.max(current.size, size);
+            if (item.hasEOL) current = null;
+        });
+
+        return lines
+            .map(line => ({ ...line, text: line.text.replace(/\s+/g, ' ').trim() }))
+            .filter(line => line.text);
+    }
+
+    /**
+     * Turn per-page lines into paragraphs and headings
+     */
+    static buildPDFStructure(pages) {
+        const allLines = pages.flat();
+        const sizes = allLines.map(line => line.size).sort((a, b) => a - b);
+        const bodySize = sizes[Math.floor(sizes.length / 2)] || 0;
+
+        // Larger type means a higher heading level
+        const headingSizes = [...new Set(allLines
+            .filter(line => line.size >= bodySize * CONFIG.PDF_HEADING_SCALE)
+            .map(line => Math.round(line.size)))]
+            .sort((a, b) => b - a);
+
+        const builder = new StructuredTextBuilder();
+
+        pages.forEach((lines, pageIndex) => {
+            const page = pageIndex + 1;
+            let paragraph = [];
+            let lastLine = null;
+
+            const flush = () => {
+                builder.addBlock(paragraph.join(' '), { page });
+                paragraph = [];
+            };
+
+            lines.forEach(line => {
+                const level = this.detectPDFHeadingLevel(line, bodySize, headingSizes);
+
+                if (level) {
+                    flush();
+                    builder.addHeading(level, line.text, { page });
+                } else {
+                    // PDF y coordinates grow upwards
+                    const gap = lastLine ? lastLine.y - line.y : 0;
+                    if (paragraph.length && gap > line.size * CONFIG.PDF_PARAGRAPH_GAP) flush();
+                    paragraph.push(line.text);
+                }
+
+                lastLine = line;
+            });
+
+            flush();
+        });
+
+        return builder.build();
+    }
+
+    /**
+     * Return a heading level for a PDF line, or 0 for body text
+     * Headings are short, unpunctuated lines in larger type or with multi-level numbering ("3.2 Leave")
+     */
+    static detectPDFHeadingLevel(line, bodySize, headingSizes) {
+        const wordCount = line.text.split(/\s+/).length;
+        if (wordCount > 12 || /[.!?,;:]$/.test(line.text)) return 0;
+
+        const numbering = line.text.match(/^(\d+(?:\.\d+)+)\.?\s+\S/);
+        if (numbering) return numbering[1].split('.').length;
+
+        if (bodySize && line.size >= bodySize * CONFIG.PDF_HEADING_SCALE) {
+            return headingSizes.indexOf(Math.round(line.size)) + 1;
+        }
+
+        return 0;
+    }
+
+    /**
+     * Parse DOCX files using Mammoth.js, keeping heading structure
+     */
+    static async parseDOCX(file) {
+        if (typeof mammoth === 'undefined') {
+            throw new Error('Mammoth.js library not loaded. Please check your internet connection.');
+        }
+
+        const arrayBuffer = await file.arrayBuffer();
+        const result = await mammoth.convertToHtml({ arrayBuffer });
+
+        if (result.messages.length > 0) {
+            console.warn('DOCX parsing warnings:', result.messages);
+        }
+
+        const doc = this.parseHTMLDocument(result.value);
+        const builder = new StructuredTextBuilder();
+        this.walkHTMLBlocks(doc.body, builder);
+
+        return builder.build();
+    }
+
+    /**
+     * Add an HTML tree's headings, paragraphs, list items and table rows as blocks.
+     * Text sitting directly in containers (common in web pages) becomes a block of its own.
+     */
+    static walkHTMLBlocks(node, builder) {
+        let inline = '';
+        const flush = () => {
+            builder.addBlock(inline);
+            inline = '';
+        };
+
+        Array.from(node.childNodes).forEach(child => {
+            if (child.nodeType === 3) {
+                inline += child.textContent;
+                return;
+            }
+            if (child.nodeType !== 1) return;
+
+            const tag = child.tagName.toLowerCase();
+
+            if (tag === 'br') {
+                inline += ' ';
+            } else if (!this.isHTMLBlock(child)) {
+                inline += child.textContent;
+            } else if (/^h[1-6]$/.test(tag)) {
+                flush();
+                builder.addHeading(Number(tag[1]), child.textContent);
+            } else if (tag === 'p' || tag === 'dt' || tag === 'dd') {
+                flush();
+                builder.addBlock(child.textContent);
+            } else if (tag === 'li') {
+                // List items are their own units; nested lists follow as separate items
+                flush();
+                const own = child.cloneNode(true);
+                own.querySelectorAll('ul, ol').forEach(list => list.remove());
+                builder.addBlock(own.textContent);
+                child.querySelectorAll(':scope > ul, :scope > ol').forEach(list => this.walkHTMLBlocks(list, builder));
+            } else if (tag === 'tr') {
+                flush();
+                const cells = Array.from(child.children).map(cell => cell.textContent.trim()).filter(Boolean);
+                builder.addBlock(cells.join('; '));
+            } else if (tag === 'pre') {
+                // Code is not prose to quote
+                flush();
+            } else {
+                flush();
+                this.walkHTMLBlocks(child, builder);
+            }
+        });
+
+        flush();
+    }
+
+    static isHTMLBlock(element) {
+        return /^(?:address|article|aside|blockquote|body|dd|details|dialog|div|dl|dt|fieldset|figcaption|figure|footer|form|h[1-6]|header|hr|li|main|nav|ol|p|pre|section|summary|table|tbody|thead|tfoot|tr|td|th|ul)$/i
+            .test(element.tagName);
+    }
+
+    /**
+     * The one DOM dependency of the engine, used only for HTML and DOCX input
+     */
+    static parseHTMLDocument(html) {
+        if (typeof DOMParser === 'undefined') {
+            throw new Error('HTML and DOCX parsing need a DOMParser; outside the browser, pass plain text instead.');
+        }
+        return new DOMParser().parseFromString(html, 'text/html');
+    }
+
+    /**
+     * Parse an HTML page: drop scripts, navigation and footers, find the main
+     * content, and keep its headings and list structure as segments
+     */
+    static parseHTML(html) {
+        const doc = this.parseHTMLDocument(html);
+        doc.querySelectorAll(`${CONFIG.HTML_BOILERPLATE_TAGS}, ${CONFIG.HTML_BOILERPLATE_ROLES}`)
+            .forEach(element => element.remove());
+
+        const root = this.findMainContent(doc);
+
+        // Class- and id-named chrome inside the content, keeping anything that holds the page title
+        Array.from(root.querySelectorAll('[class], [id]'))
+            .filter(element => CONFIG.HTML_BOILERPLATE_NAMES.test(`${element.className} ${element.id}`))
+            .filter(element => !element.querySelector('h1'))
+            .forEach(element => element.remove());
+
+        const builder = new StructuredTextBuilder();
+        this.walkHTMLBlocks(root, builder);
+
+        return builder.build();
+    }
+
+    /**
+     * The element holding the page's main content: an explicit landmark when
+     * there is one, otherwise the container with the most paragraph text
+     */
+    static findMainContent(doc) {
+        const textLength = element => element.textContent.replace(/\s+/g, ' ').trim().length;
+        const longest = elements => elements.reduce((best, element) =>
+            !best || textLength(element) > textLength(best) ? element : best, null);
+
+        const landmark = longest(Array.from(doc.querySelectorAll('main, [role="main"]'))) ||
+            longest(Array.from(doc.querySelectorAll('article')));
+        if (landmark && textLength(landmark) > 0) return landmark;
+
+        // Credit each paragraph's text to its parent, and half to its grandparent
+        const scores = new Map();
+        doc.body.querySelectorAll('p, li, td, pre, blockquote').forEach(block => {
+            const links = Array.from(block.querySelectorAll('a')).reduce((sum, link) => sum + textLength(link), 0);
+            const length = textLength(block);
+            const score = Math.max(0, length - links);
+            const parent = block.parentElement;
+            if (!parent) return;
+
+            scores.set(parent, (scores.get(parent) || 0) + score);
+            if (parent.parentElement) {
+                scores.set(parent.parentElement, (scores.get(parent.parentElement) || 0) + score / 2);
+            }
+        });
+
+        let best = doc.body;
+        let bestScore = 0;
+        scores.forEach((score, element) => {
+            if (score > bestScore) {
+                best = element;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Whether pasted text is HTML markup rather than prose
+     */
+    static looksLikeHTML(text) {
+        const sample = text.trim().slice(0, 5000);
+        if (/^<!doctype html|^<html[\s>]/i.test(sample)) return true;
+
+        const tags = sample.match(/<\/?(?:p|div|span|a|h[1-6]|ul|ol|li|br|table|tr|td|section|article|body|head|meta|link|script|style)\b[^>]*>/gi);
+        return !!tags && tags.length >= 3 && /<\/[a-z]/i.test(sample);
+    }
+
+    /**
+     * Parse JSON files through an auto-detected path mapping; the user can edit it per file
+     * @returns {Promise<{text: string, segments: Array, json: {data: *, mapping: Object}}>}
+     */
+    static async parseJSON(file) {
+        const text = await this.parseTextFile(file);
+        const data = JSON.parse(text);
+        const mapping = JSONPathMapper.detectMapping(data);
+
+        return { ...JSONPathMapper.build(data, mapping), json: { data, mapping } };
+    }
+
+    /**
+     * Format file size for display
+     */
+    static formatFileSize(bytes) {
+        if (bytes < 1024) return bytes + ' B';
+        if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+        return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    }
+}
+// ===================================
+// HEADLESS API
+// ===================================
+/**
+ * Generate verified FAQs from text. Answers and references are quoted verbatim with
+ * character offsets into the text, and each FAQ carries its source sentence's score.
+ * @param {string} text - Source text; offsets refer to it exactly as given
+ * @param {Object} [options]
+ * @param {number|'auto'} [options.count] - Number of FAQs from CONFIG.FAQ_COUNT_MIN to FAQ_COUNT_MAX,
+ *     or 'auto' to scale with the document
+ * @param {string} [options.language] - Code from CONFIG.LANGUAGES, or 'auto' to detect it
+ * @param {string} [options.answerMode] - One of CONFIG.ANSWER_MODES
+ * @param {boolean} [options.includeFollowUp] - Extend answers with a following sentence that refers back
+ * @param {string} [options.selectionMode] - One of CONFIG.SELECTION_MODES
+ * @param {string[]} [options.topics] - Keys from TextAnalyzer.extractTopics(); one FAQ is generated per topic
+ * @param {Array} [options.questionPatterns] - Custom { id, pattern, flags, template } definitions
+ * @param {Object} [options.scoring] - { weights, importanceIndicators, stopWords }
+ * @param {Array} [options.segments] - Structural segments (headings, pages) with offsets into the text
+ * @param {Array} [options.pinned] - FAQs to keep; they count towards the target
+ * @returns {{faqs: Array, language: string, targetCount: number, missedTopics: string[],
+ *     unknownTopics: string[], analyzer: TextAnalyzer, generator: FAQGenerator}}
+ */
+function generateFAQs(text, options = {}) {
+    if (typeof text !== 'string' || !text.trim()) throw new Error('No source text to generate FAQs from.');
+
+    const count = options.count === undefined ? CONFIG.FAQ_COUNT : options.count;
+    const validCount = count === 'auto' ||
+        (Number.isInteger(count) && count >= CONFIG.FAQ_COUNT_MIN && count <= CONFIG.FAQ_COUNT_MAX);
+    if (!validCount) {
+        throw new Error(`FAQ count must be 'auto' or a whole number from ${CONFIG.FAQ_COUNT_MIN} to ${CONFIG.FAQ_COUNT_MAX}.`);
+    }
+
+    const analyzer = new TextAnalyzer(text, {
+        segments: options.segments,
+        scoring: options.scoring,
+        language: options.language
+    });
+
+    if (analyzer.sentences.length < (count === 'auto' ? CONFIG.MIN_SENTENCES : count)) {
+        throw new Error('Not enough valid sentences found in the document.');
+    }
+
+    const generator = new FAQGenerator(analyzer, FAQGenerator.optionsFor(analyzer.language, options));
+    const pinned = options.pinned || [];
+
+    // Chosen key topics get one FAQ each in place of the top-ranked sentences
+    const requested = options.topics || [];
+    const available = new Map(requested.length ? analyzer.extractTopics(Infinity).map(topic => [topic.key, topic]) : []);
+    const topics = requested.filter(key => available.has(key)).map(key => available.get(key));
+    const faqs = topics.length
+        ? generator.generateForTopics(topics, pinned)
+        : generator.generate(count, pinned);
+
+    // Topic and coverage selection don't rank every sentence, so score them all here
+    analyzer.scoreSentences();
+    faqs.forEach(faq => {
+        const sentence = generator.findSentence(faq);
+        faq.score = sentence ? sentence.importance : null;
+        faq.scoreBreakdown = sentence ? { ...sentence.scoreBreakdown } : null;
+    });
+
+    // Prove every answer and reference is grounded in the source
+    new FAQVerifier(analyzer).verifyAll(faqs);
+
+    return {
+        faqs,
+        language: analyzer.language,
+        targetCount: generator.targetCount,
+        missedTopics: topics.length ? generator.missedTopics : [],
+        unknownTopics: requested.filter(key => !available.has(key)),
+        analyzer,
+        generator
+    };
+}
+
+export {
+    CONFIG,
+    LanguageSupport,
+    SentenceSegmenter,
+    TextAnalyzer,
+    QuestionTemplateEngine,
+    FAQGenerator,
+    FAQVerifier,
+    ReferenceTracker,
+    DocumentDiff,
+    StructuredTextBuilder,
+    SourceCorpus,
+    JSONPathMapper,
+    FileParser,
+    generateFAQs
+};
@@ -1,42 +1,59 @@
 /**
  * Strict FAQ Generator
- * Advanced text analysis engine for generating traceable FAQs
- * Uses TF-IDF scoring, sentence importance ranking, and key phrase extraction
+ * Browser UI over the engine in faq-engine.mjs: file uploads, the project library,
+ * exports and the FAQ editor
  */
 
+import {
+    CONFIG,
+    TextAnalyzer,
+    QuestionTemplateEngine,
+    FAQGenerator,
+    FAQVerifier,
+    ReferenceTracker,
+    DocumentDiff,
+    SourceCorpus,
+    JSONPathMapper,
+    FileParser,
+    generateFAQs
+} from './faq-engine.mjs';
+
 // ===================================
-// CONFIGURATION
+// UI CONFIGURATION
 // ===================================
-const CONFIG = {
-    MIN_SENTENCES: 5,
-    FAQ_COUNT: 5,
-    MIN_SENTENCE_LENGTH: 20,
-    STOP_WORDS: new Set([
-        'a', 'an', 'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
-        'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'been',
-        'be', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would',
-        'could', 'should', 'may', 'might', 'must', 'shall', 'can', 'need',
-        'it', 'its', 'this', 'that', 'these', 'those', 'i', 'you', 'he',
-        'she', 'we', 'they', 'what', 'which', 'who', 'whom', 'when', 'where',
-        'why', 'how', 'all', 'each', 'every', 'both', 'few', 'more', 'most',
-        'other', 'some', 'such', 'no', 'nor', 'not', 'only', 'own', 'same',
-        'so', 'than', 'too', 'very', 'just', 'also', 'now', 'here', 'there'
-    ]),
-    QUESTION_PATTERNS: [
-        { pattern: /^(.+?)\s+(?:is|are|was|were)\s+(.+)$/i, template: 'What {verb} {subject}?' },
-        { pattern: /^(.+?)\s+(?:has|have|had)\s+(.+)$/i, template: 'What does {subject} have?' },
-        { pattern: /^(.+?)\s+(?:can|could|may|might)\s+(.+)$/i, template: 'What can {subject} do?' },
-        { pattern: /^(.+?)\s+(?:helps?|assists?|enables?|allows?)\s+(.+)$/i, template: 'How does {subject} help?' },
-        { pattern: /^(.+?)\s+(?:causes?|leads?\s+to|results?\s+in)\s+(.+)$/i, template: 'What does {subject} cause?' },
-        { pattern: /^(.+?)\s+(?:requires?|needs?)\s+(.+)$/i, template: 'What does {subject} require?' },
-        { pattern: /^(.+?)\s+(?:provides?|offers?|gives?)\s+(.+)$/i, template: 'What does {subject} provide?' },
-        { pattern: /^(.+?)\s+(?:includes?|contains?|consists?\s+of)\s+(.+)$/i, template: 'What does {subject} include?' }
+// Page, storage and export settings; the engine's own settings are in CONFIG
+const UI_CONFIG = {
+    // Key topics panel: occurrence links per topic and the input debounce
+    TOPIC_OCCURRENCE_LINKS: 8,
+    TOPIC_REFRESH_DELAY: 400,
+    // Export menu entries, in menu order
+    EXPORT_FORMATS: [
+        { id: 'json', label: 'JSON', extension: 'json', type: 'application/json' },
+        { id: 'markdown', label: 'Markdown', extension: 'md', type: 'text/markdown' },
+        { id: 'html', label: 'HTML page', extension: 'html', type: 'text/html' },
+        { id: 'csv', label: 'CSV', extension: 'csv', type: 'text/csv' },
+        { id: 'jsonld', label: 'FAQPage JSON-LD', extension: 'jsonld', type: 'application/ld+json' },
+        { id: 'report-pdf', label: 'Compliance report (PDF)', extension: 'pdf', report: 'pdf' },
+        {
+            id: 'report-docx',
+            label: 'Compliance report (DOCX)',
+            extension: 'docx',
+            type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            report: 'docx'
+        }
     ],
-    IMPORTANCE_INDICATORS: [
-        'important', 'essential', 'critical', 'key', 'main', 'primary',
-        'significant', 'major', 'fundamental', 'crucial', 'vital', 'necessary',
-        'must', 'should', 'always', 'never', 'requires', 'ensures'
-    ]
+    PROJECT_DB: {
+        NAME: 'strict-faq-generator',
+        VERSION: 1,
+        STORE: 'projects'
+    },
+    STORAGE_KEYS: {
+        QUESTION_PATTERNS: 'strictFaq.questionPatterns',
+        SCORING: 'strictFaq.scoring',
+        PRESETS: 'strictFaq.presets'
+    },
+    // Matches the PDF.js version index.html loads
+    PDF_WORKER_SRC: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js'
 };
 
 // ===================================
@@ -53,15 +70,66 @@ const elements = {
     highlightOverlay: document.getElementById('highlightOverlay'),
     copyAllBtn: document.getElementById('copyAllBtn'),
     exportBtn: document.getElementById('exportBtn'),
+    exportMenu: document.getElementById('exportMenu'),
+    importFAQsBtn: document.getElementById('importFAQsBtn'),
+    importFileInput: document.getElementById('importFileInput'),
     toastContainer: document.getElementById('toastContainer'),
+    traceabilityNotice: document.getElementById('traceabilityNotice'),
+    traceabilityText: document.getElementById('traceabilityText'),
+    faqCountInput: document.getElementById('faqCountInput'),
+    faqCountAuto: document.getElementById('faqCountAuto'),
+    answerModeSelect: document.getElementById('answerModeSelect'),
+    followUpToggle: document.getElementById('followUpToggle'),
+    languageSelect: document.getElementById('languageSelect'),
+    selectionModeSelect: document.getElementById('selectionModeSelect'),
+    questionPatternsInput: document.getElementById('questionPatternsInput'),
+    savePatternsBtn: document.getElementById('savePatternsBtn'),
+    resetPatternsBtn: document.getElementById('resetPatternsBtn'),
+    // Scoring settings elements
+    scoringPanel: document.getElementById('scoringPanel'),
+    presetSelect: document.getElementById('presetSelect'),
+    applyPresetBtn: document.getElementById('applyPresetBtn'),
+    savePresetBtn: document.getElementById('savePresetBtn'),
+    deletePresetBtn: document.getElementById('deletePresetBtn'),
+    exportPresetBtn: document.getElementById('exportPresetBtn'),
+    importPresetBtn: document.getElementById('importPresetBtn'),
+    presetFileInput: document.getElementById('presetFileInput'),
+    weightInputs: document.getElementById('weightInputs'),
+    importanceWordsInput: document.getElementById('importanceWordsInput'),
+    stopWordsInput: document.getElementById('stopWordsInput'),
+    // Key topics elements
+    topicsPanel: document.getElementById('topicsPanel'),
+    topicsSummary: document.getElementById('topicsSummary'),
+    topicList: document.getElementById('topicList'),
+    clearTopicsBtn: document.getElementById('clearTopicsBtn'),
+    // Candidate pool elements
+    candidatePanel: document.getElementById('candidatePanel'),
+    candidateSummary: document.getElementById('candidateSummary'),
+    candidateFilter: document.getElementById('candidateFilter'),
+    candidateStatusFilter: document.getElementById('candidateStatusFilter'),
+    candidateHead: document.getElementById('candidateHead'),
+    candidateBody: document.getElementById('candidateBody'),
+    // Section coverage elements
+    coveragePanel: document.getElementById('coveragePanel'),
+    coverageSummary: document.getElementById('coverageSummary'),
+    coverageList: document.getElementById('coverageList'),
+    // Revision diff elements
+    revisionPanel: document.getElementById('revisionPanel'),
+    revisionSummary: document.getElementById('revisionSummary'),
+    compareEditorBtn: document.getElementById('compareEditorBtn'),
+    revisionFileBtn: document.getElementById('revisionFileBtn'),
+    revisionFileInput: document.getElementById('revisionFileInput'),
+    revisionReport: document.getElementById('revisionReport'),
+    // Project library elements
+    projectsBtn: document.getElementById('projectsBtn'),
+    projectSidebar: document.getElementById('projectSidebar'),
+    projectList: document.getElementById('projectList'),
+    newProjectBtn: document.getElementById('newProjectBtn'),
+    closeProjectsBtn: document.getElementById('closeProjectsBtn'),
     // File upload elements
     fileDropZone: document.getElementById('fileDropZone'),
     fileInput: document.getElementById('fileInput'),
-    fileInfo: document.getElementById('fileInfo'),
-    fileName: document.getElementById('fileName'),
-    fileSize: document.getElementById('fileSize'),
-    fileRemove: document.getElementById('fileRemove'),
-    fileLoading: document.getElementById('fileLoading')
+    fileList: document.getElementById('fileList')
 };
 
 // ===================================
@@ -72,517 +140,854 @@ let state = {
     sentences: [],
     faqs: [],
     isGenerating: false,
-    currentFile: null
+    files: [], // { id, file, name, size, status: 'parsing'|'ready'|'error', text, segments, json, error }
+    corpus: null, // SourceCorpus of the ready files
+    sourceCorpus: null, // SourceCorpus the current FAQs were generated from
+    pastedDocument: null, // { text, segments } of HTML pasted as the whole source
+    projectId: null, // ProjectLibrary id the current run is saved under
+    analyzer: null, // TextAnalyzer of sourceText, rebuilt on demand for edits
+    generator: null, // FAQGenerator over analyzer, for single-card replacements
+    skippedSentences: new Set(), // sentence indices swapped out since the last generation
+    candidateSort: { key: 'total', descending: true }, // candidate pool column order
+    topics: [], // key topics of the source text, from TextAnalyzer.extractTopics()
+    revision: null, // { oldText, text, upload, diff, suggestions, selected } while comparing a revised source
+    targetCount: 0,
+    settings: {
+        faqCount: CONFIG.FAQ_COUNT, // number or 'auto'
+        answerMode: 'sentence', // one of CONFIG.ANSWER_MODES
+        includeFollowUp: false,
+        selectionMode: 'score', // one of CONFIG.SELECTION_MODES
+        language: 'auto', // 'auto' or a CONFIG.LANGUAGES code
+        questionPatterns: [], // custom { id, pattern, flags, template } definitions
+        scoring: null, // { name, weights, importanceIndicators, stopWords } from ScoringPresets
+        topics: [] // keys of the key topics chosen to generate one FAQ each
+    }
 };
 
 // ===================================
-// TEXT ANALYSIS ENGINE
+// SCORING PRESETS
 // ===================================
-class TextAnalyzer {
-    constructor(text) {
-        this.originalText = text;
-        this.sentences = this.extractSentences(text);
-        this.words = this.tokenize(text);
-        this.termFrequency = this.calculateTF();
-        this.idf = this.calculateIDF();
-        this.tfidf = this.calculateTFIDF();
-    }
-
+class ScoringPresets {
     /**
-     * Extract sentences from text using advanced splitting
+     * Expand a built-in preset into a full scoring profile
      */
-    extractSentences(text) {
-        // Handle common abbreviations
-        const preprocessed = text
-            .replace(/Mr\./g, 'Mr')
-            .replace(/Mrs\./g, 'Mrs')
-            .replace(/Dr\./g, 'Dr')
-            .replace(/Prof\./g, 'Prof')
-            .replace(/etc\./g, 'etc')
-            .replace(/e\.g\./g, 'eg')
-            .replace(/i\.e\./g, 'ie')
-            .replace(/vs\./g, 'vs');
-
-        // Split on sentence boundaries
-        const rawSentences = preprocessed.split(/(?<=[.!?])\s+(?=[A-Z])/);
-
-        return rawSentences
-            .map(s => s.trim())
-            .filter(s => s.length >= CONFIG.MIN_SENTENCE_LENGTH)
-            .map((sentence, index) => ({
-                text: sentence,
-                index,
-                originalText: this.findOriginalSentence(text, sentence),
-                words: this.tokenize(sentence),
-                importance: 0
-            }));
+    static resolve(preset) {
+        return {
+            name: preset.name,
+            weights: { ...CONFIG.SCORING_WEIGHTS, ...preset.weights },
+            importanceIndicators: [...(preset.importanceIndicators || CONFIG.IMPORTANCE_INDICATORS)],
+            stopWords: [...CONFIG.STOP_WORDS, ...(preset.extraStopWords || [])],
+            // Built-ins leave the question templates alone
+            questionPatterns: null
+        };
+    }
+
+    static builtIns() {
+        return CONFIG.SCORING_PRESETS.map(preset => this.resolve(preset));
+    }
+
+    static defaults() {
+        return this.builtIns()[0];
     }
 
     /**
-     * Find the original sentence in the source text
+     * Check an imported or stored preset and return a clean copy
+     * @throws {Error} When a field has the wrong shape
      */
-    findOriginalSentence(fullText, processedSentence) {
-        // Try to find an exact match first
-        const words = processedSentence.split(/\s+/).slice(0, 5).join('\\s+');
-        const regex = new RegExp(words.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
-        const match = fullText.match(regex);
-
-        if (match) {
-            // Extract the full sentence from the original text
-            const startIndex = match.index;
-            const endMatch = fullText.slice(startIndex).match(/[.!?](?:\s|$)/);
-            const endIndex = endMatch ? startIndex + endMatch.index + 1 : startIndex + processedSentence.length;
-            return fullText.slice(startIndex, endIndex).trim();
+    static validate(raw) {
+        if (!raw || typeof raw !== 'object') throw new Error('A preset must be a JSON object.');
+        const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+        if (!name) throw new Error('Every preset needs a name.');
+
+        const weights = { ...CONFIG.SCORING_WEIGHTS };
+        Object.entries(raw.weights || {}).forEach(([key, value]) => {
+            if (!(key in CONFIG.SCORING_WEIGHTS)) throw new Error(`${name}: unknown weight "${key}".`);
+            if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error(`${name}: weight "${key}" must be a number.`);
+            weights[key] = value;
+        });
+
+        const wordList = (field, fallback) => {
+            if (raw[field] === undefined) return [...fallback];
+            if (!Array.isArray(raw[field]) || raw[field].some(word => typeof word !== 'string')) {
+                throw new Error(`${name}: "${field}" must be an array of strings.`);
+            }
+            return [...new Set(raw[field].map(word => word.trim().toLowerCase()).filter(Boolean))];
+        };
+
+        let questionPatterns = null;
+        if (raw.questionPatterns !== undefined && raw.questionPatterns !== null) {
+            if (!Array.isArray(raw.questionPatterns)) throw new Error(`${name}: "questionPatterns" must be an array.`);
+            QuestionTemplateEngine.mergePatterns(CONFIG.QUESTION_PATTERNS, raw.questionPatterns);
+            questionPatterns = raw.questionPatterns;
         }
 
-        return processedSentence;
+        return {
+            name,
+            weights,
+            importanceIndicators: wordList('importanceIndicators', CONFIG.IMPORTANCE_INDICATORS),
+            stopWords: wordList('stopWords', CONFIG.STOP_WORDS),
+            questionPatterns
+        };
     }
 
     /**
-     * Tokenize text into words
+     * Presets saved in this browser
      */
-    tokenize(text) {
-        return text
-            .toLowerCase()
-            .replace(/[^\w\s]/g, ' ')
-            .split(/\s+/)
-            .filter(word => word.length > 2 && !CONFIG.STOP_WORDS.has(word));
+    static loadSaved() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(UI_CONFIG.STORAGE_KEYS.PRESETS) || '[]');
+            return saved.map(preset => this.validate(preset));
+        } catch (error) {
+            console.warn('Ignoring saved presets:', error);
+            return [];
+        }
+    }
+
+    static storeSaved(presets) {
+        localStorage.setItem(UI_CONFIG.STORAGE_KEYS.PRESETS, JSON.stringify(presets));
+    }
+
+    static toExport(presets) {
+        return { format: 'strict-faq-presets', version: 1, presets };
     }
 
     /**
-     * Calculate Term Frequency
+     * Accept an export file, a bare array of presets, or a single preset
      */
-    calculateTF() {
-        const tf = new Map();
-        const totalWords = this.words.length;
+    static parseImport(data) {
+        const list = Array.isArray(data) ? data : Array.isArray(data && data.presets) ? data.presets : [data];
+        if (!list.length) throw new Error('The file contains no presets.');
+        return list.map(preset => this.validate(preset));
+    }
+}
 
-        this.words.forEach(word => {
-            tf.set(word, (tf.get(word) || 0) + 1);
-        });
+// ===================================
+// PROJECT LIBRARY
+// ===================================
+class ProjectLibrary {
+    constructor() {
+        this.dbPromise = null;
+    }
 
-        // Normalize by total words
-        tf.forEach((count, word) => {
-            tf.set(word, count / totalWords);
-        });
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
 
-        return tf;
+    static createId() {
+        return typeof crypto !== 'undefined' && crypto.randomUUID
+            ? crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
     }
 
     /**
-     * Calculate Inverse Document Frequency
+     * Open the database once, creating the projects store on first use
      */
-    calculateIDF() {
-        const idf = new Map();
-        const numSentences = this.sentences.length;
-
-        // Count sentences containing each word
-        const sentenceCount = new Map();
-        this.sentences.forEach(sentence => {
-            const uniqueWords = new Set(sentence.words);
-            uniqueWords.forEach(word => {
-                sentenceCount.set(word, (sentenceCount.get(word) || 0) + 1);
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(UI_CONFIG.PROJECT_DB.NAME, UI_CONFIG.PROJECT_DB.VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(UI_CONFIG.PROJECT_DB.STORE)) {
+                        db.createObjectStore(UI_CONFIG.PROJECT_DB.STORE, { keyPath: 'id' })
+                            .createIndex('updatedAt', 'updatedAt');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error || new Error('Could not open the project library'));
             });
-        });
-
-        // Calculate IDF
-        sentenceCount.forEach((count, word) => {
-            idf.set(word, Math.log(numSentences / (1 + count)) + 1);
-        });
+        }
 
-        return idf;
+        return this.dbPromise;
     }
 
     /**
-     * Calculate TF-IDF scores
+     * Run one request against the projects store
      */
-    calculateTFIDF() {
-        const tfidf = new Map();
+    async request(mode, operation) {
+        const db = await this.open();
 
-        this.termFrequency.forEach((tf, word) => {
-            const idf = this.idf.get(word) || 1;
-            tfidf.set(word, tf * idf);
-        });
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(UI_CONFIG.PROJECT_DB.STORE, mode);
+            const request = operation(transaction.objectStore(UI_CONFIG.PROJECT_DB.STORE));
 
-        return tfidf;
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || new Error('Project library request failed'));
+            transaction.onabort = () => reject(transaction.error || new Error('Project library request was aborted'));
+        });
     }
 
     /**
-     * Score sentence importance using multiple factors
+     * All projects, most recently updated first
      */
-    scoreSentences() {
-        this.sentences.forEach(sentence => {
-            let score = 0;
-
-            // 1. TF-IDF based score
-            const tfidfScore = sentence.words.reduce((sum, word) => {
-                return sum + (this.tfidf.get(word) || 0);
-            }, 0) / Math.max(sentence.words.length, 1);
-            score += tfidfScore * 3;
-
-            // 2. Position bonus (first and last sentences often important)
-            if (sentence.index < 2) score += 0.5;
-            if (sentence.index >= this.sentences.length - 2) score += 0.3;
-
-            // 3. Length bonus (not too short, not too long)
-            const wordCount = sentence.words.length;
-            if (wordCount >= 8 && wordCount <= 25) score += 0.4;
-
-            // 4. Importance indicators
-            const lowerText = sentence.text.toLowerCase();
-            CONFIG.IMPORTANCE_INDICATORS.forEach(indicator => {
-                if (lowerText.includes(indicator)) score += 0.5;
-            });
+    async list() {
+        const projects = await this.request('readonly', store => store.getAll());
+        return projects.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
 
-            // 5. Contains numbers or percentages (often factual)
-            if (/\d+%?/.test(sentence.text)) score += 0.4;
+    get(id) {
+        return this.request('readonly', store => store.get(id));
+    }
 
-            // 6. Contains proper nouns (capitalized words mid-sentence)
-            const properNouns = sentence.text.match(/(?<=\s)[A-Z][a-z]+/g);
-            if (properNouns && properNouns.length > 0) score += 0.3;
+    /**
+     * Insert or update a project, stamping its timestamps
+     */
+    async save(project) {
+        const now = new Date().toISOString();
+        const record = { ...project, createdAt: project.createdAt || now, updatedAt: now };
 
-            // 7. Definitive statements (contains "is", "are", definitions)
-            if (/\b(?:is|are|refers to|means|defined as)\b/i.test(sentence.text)) {
-                score += 0.5;
-            }
+        await this.request('readwrite', store => store.put(record));
+        return record;
+    }
 
-            sentence.importance = score;
-        });
+    async rename(id, name) {
+        const project = await this.get(id);
+        if (!project) throw new Error('Project not found');
 
-        return this.sentences.sort((a, b) => b.importance - a.importance);
+        return this.save({ ...project, name });
     }
 
-    /**
-     * Extract key phrases from text
-     */
-    extractKeyPhrases(sentence) {
-        const text = sentence.text;
-        const phrases = [];
-
-        // Extract noun phrases (simplified)
-        const nounPatterns = [
-            /(?:the|a|an)\s+(?:\w+\s+)*\w+(?=\s+(?:is|are|was|were|has|have))/gi,
-            /(?:^|\.\s+)([A-Z][a-z]+(?:\s+[a-z]+)*)/g
-        ];
+    async duplicate(id) {
+        const project = await this.get(id);
+        if (!project) throw new Error('Project not found');
 
-        nounPatterns.forEach(pattern => {
-            const matches = text.match(pattern);
-            if (matches) phrases.push(...matches);
+        return this.save({
+            ...project,
+            id: ProjectLibrary.createId(),
+            name: `${project.name} (copy)`,
+            createdAt: null
         });
+    }
 
-        return phrases.map(p => p.trim()).filter(p => p.length > 3);
+    delete(id) {
+        return this.request('readwrite', store => store.delete(id));
     }
 }
 
 // ===================================
-// FAQ GENERATOR
+// FAQ EXPORTER
 // ===================================
-class FAQGenerator {
-    constructor(analyzer) {
-        this.analyzer = analyzer;
+/**
+ * Renders the export data assembled by UIController.buildExportData() in each export format
+ */
+class FAQExporter {
+    constructor(data) {
+        this.data = data;
     }
 
     /**
-     * Generate exactly 5 FAQs from the analyzed text
+     * Render one of UI_CONFIG.EXPORT_FORMATS
      */
-    generate() {
-        const scoredSentences = this.analyzer.scoreSentences();
-        const faqs = [];
-        const usedSentences = new Set();
-
-        // Select top sentences ensuring diversity
-        for (const sentence of scoredSentences) {
-            if (faqs.length >= CONFIG.FAQ_COUNT) break;
-            if (usedSentences.has(sentence.index)) continue;
-
-            // Check similarity with already selected sentences
-            if (this.isTooSimilar(sentence, Array.from(usedSentences).map(i =>
-                scoredSentences.find(s => s.index === i)
-            ).filter(Boolean))) {
-                continue;
-            }
+    render(format) {
+        const renderers = {
+            json: () => JSON.stringify(this.data, null, 2),
+            markdown: () => this.toMarkdown(),
+            html: () => this.toHTML(),
+            csv: () => this.toCSV(),
+            jsonld: () => JSON.stringify(this.toJSONLD(), null, 2)
+        };
+        if (!renderers[format]) throw new Error(`Unknown export format: ${format}`);
+        return renderers[format]();
+    }
 
-            const faq = this.createFAQ(sentence, faqs.length + 1);
-            if (faq) {
-                faqs.push(faq);
-                usedSentences.add(sentence.index);
-            }
-        }
+    /**
+     * Where a FAQ's reference sits: file, page, section and paragraph or JSON path
+     */
+    static describeLocation(source, span = null) {
+        if (!source || !source.fileName) return span ? `chars ${span.start}-${span.end}` : '';
 
-        // If we don't have enough FAQs, be less strict
-        if (faqs.length < CONFIG.FAQ_COUNT) {
-            for (const sentence of scoredSentences) {
-                if (faqs.length >= CONFIG.FAQ_COUNT) break;
-                if (usedSentences.has(sentence.index)) continue;
+        const parts = [source.fileName];
+        const section = source.headingPath && source.headingPath[source.headingPath.length - 1];
 
-                const faq = this.createFAQ(sentence, faqs.length + 1);
-                if (faq) {
-                    faqs.push(faq);
-                    usedSentences.add(sentence.index);
-                }
-            }
-        }
+        if (source.page) parts.push(`page ${source.page}`);
+        if (section) parts.push(`Section ${section}`);
+        if (source.jsonPath) parts.push(source.jsonPath);
+        else if (source.paragraph) parts.push(`¶${source.paragraph}`);
+        if (parts.length === 1) parts.push(`chars ${source.start}-${source.end}`);
 
-        return faqs;
+        return parts.join(', ');
     }
 
-    /**
-     * Check if a sentence is too similar to already selected ones
-     */
-    isTooSimilar(sentence, selectedSentences) {
-        if (!selectedSentences.length) return false;
+    location(faq) {
+        return FAQExporter.describeLocation(faq.source, faq.referenceSpan);
+    }
 
-        for (const selected of selectedSentences) {
-            if (!selected) continue;
-            const similarity = this.calculateSimilarity(sentence.words, selected.words);
-            if (similarity > 0.5) return true;
-        }
-        return false;
+    sourceNames() {
+        return this.data.sourceFiles.map(file => file.name);
     }
 
     /**
-     * Calculate Jaccard similarity between two word sets
+     * Markdown with the generation metadata as YAML front matter and each reference as a block quote
      */
-    calculateSimilarity(words1, words2) {
-        const set1 = new Set(words1);
-        const set2 = new Set(words2);
-        const intersection = new Set([...set1].filter(x => set2.has(x)));
-        const union = new Set([...set1, ...set2]);
-        return intersection.size / union.size;
+    toMarkdown() {
+        const yaml = value => JSON.stringify(value);
+        const quote = text => text.split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+        const { data } = this;
+
+        const frontMatter = [
+            '---',
+            'title: "Frequently Asked Questions"',
+            `generated_at: ${yaml(data.generatedAt)}`,
+            'generator: "Strict FAQ Generator"',
+            `source_files: [${this.sourceNames().map(yaml).join(', ')}]`,
+            `language: ${yaml(data.language)}`,
+            `faq_count: ${data.faqCount}`,
+            `verified_count: ${data.verifiedCount}`,
+            `edited_count: ${data.editedCount}`,
+            `answer_mode: ${yaml(data.answerMode)}`,
+            `selection_mode: ${yaml(data.selectionMode)}`,
+            '---'
+        ].join('\n');
+
+        const escape = FAQExporter.escapeMarkdown;
+
+        const faqs = data.faqs.map(faq => [
+            `## ${faq.number}. ${escape(faq.question)}`,
+            escape(faq.answer),
+            `${quote(`"${escape(faq.reference)}"`)}\n>\n> — *${escape(this.location(faq))}* · ${this.statusLabel(faq)}`
+        ].join('\n\n'));
+
+        return `${frontMatter}\n\n# Frequently Asked Questions\n\n${faqs.join('\n\n')}\n`;
     }
 
     /**
-     * Create a single FAQ from a sentence
+     * Self-contained HTML page with inline styles, metadata in the head and embedded FAQPage JSON-LD
      */
-    createFAQ(sentence, number) {
-        const question = this.generateQuestion(sentence);
-        const answer = this.generateAnswer(sentence);
-        const reference = sentence.originalText || sentence.text;
-
-        if (!question || !answer) return null;
-
-        return {
-            number,
-            question,
-            answer,
-            reference,
-            sourceIndex: sentence.index
-        };
+    toHTML() {
+        const escape = FAQExporter.escapeHtml;
+        const { data } = this;
+        const sources = this.sourceNames();
+        // "</" would close the script element early
+        const jsonLd = JSON.stringify(this.toJSONLD(), null, 2).replace(/<\//g, '<\\/');
+
+        const faqs = data.faqs.map(faq => `
+    <section class="faq" id="faq-${faq.number}">
+        <h2><span class="number">${faq.number}</span> ${escape(faq.question)}</h2>
+        <p class="answer">${escape(faq.answer)}</p>
+        <blockquote class="reference">
+            <p>${escape(faq.reference)}</p>
+            <footer><cite>${escape(this.location(faq))}</cite> · ${escape(this.statusLabel(faq))}</footer>
+        </blockquote>
+    </section>`).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="${escape(data.language)}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="generator" content="Strict FAQ Generator">
+    <meta name="dcterms.created" content="${escape(data.generatedAt)}">${sources.length ? `
+    <meta name="dcterms.source" content="${escape(sources.join(', '))}">` : ''}
+    <title>Frequently Asked Questions</title>
+    <style>
+        body { max-width: 760px; margin: 2rem auto; padding: 0 1rem; font-family: system-ui, -apple-system, 'Segoe UI', sans-serif; line-height: 1.6; color: #1f2937; }
+        h1 { margin-bottom: 0.25rem; }
+        .meta { color: #6b7280; font-size: 0.9rem; }
+        .faq { padding: 1.25rem 0; border-top: 1px solid #e5e7eb; }
+        .faq h2 { font-size: 1.15rem; margin: 0 0 0.5rem; }
+        .number { display: inline-block; min-width: 1.6rem; padding: 0 0.4rem; border-radius: 999px; background: #f59e0b; color: #fff; text-align: center; font-size: 0.85rem; }
+        .reference { margin: 0.75rem 0 0; padding: 0.5rem 1rem; border-left: 3px solid #f59e0b; background: #fffbeb; color: #4b5563; font-size: 0.9rem; }
+        .reference p { margin: 0 0 0.25rem; }
+        .reference footer { color: #6b7280; font-size: 0.8rem; }
+    </style>
+    <script type="application/ld+json">
+${jsonLd}
+    </script>
+</head>
+<body>
+    <h1>Frequently Asked Questions</h1>
+    <p class="meta">${escape(this.summaryLine())}</p>
+${faqs}
+</body>
+</html>
+`;
     }
 
     /**
-     * Generate a question from a declarative sentence
+     * CSV (RFC 4180) with one row per FAQ and its reference columns
      */
-    generateQuestion(sentence) {
-        const text = sentence.text.replace(/[.!?]$/, '').trim();
-
-        // Try pattern-based question generation
-        for (const { pattern, template } of CONFIG.QUESTION_PATTERNS) {
-            const match = text.match(pattern);
-            if (match) {
-                const subject = match[1].trim();
-                const shortSubject = this.extractSubject(subject);
-
-                // Generate contextual question
-                return this.formatQuestion(text, shortSubject);
-            }
-        }
+    toCSV() {
+        const columns = [
+            ['number', faq => faq.number],
+            ['question', faq => faq.question],
+            ['answer', faq => faq.answer],
+            ['reference', faq => faq.reference],
+            ['reference_start', faq => faq.referenceSpan.start],
+            ['reference_end', faq => faq.referenceSpan.end],
+            ['source_file', faq => (faq.source && faq.source.fileName) || ''],
+            ['page', faq => (faq.source && faq.source.page) || ''],
+            ['section', faq => (faq.headingPath || []).join(' > ')],
+            ['location', faq => this.location(faq)],
+            ['verification', faq => (faq.verification && faq.verification.status) || ''],
+            ['answer_origin', faq => faq.answerOrigin],
+            ['edited', faq => (faq.edits.length ? 'yes' : 'no')],
+            ['topic', faq => faq.topic || ''],
+            ['language', () => this.data.language],
+            ['generated_at', () => this.data.generatedAt]
+        ];
 
-        // Fallback: Create a "What" question based on the main topic
-        const subject = this.extractSubject(text);
-        return `What is important to know about ${subject.toLowerCase()}?`;
-    }
+        const cell = value => {
+            let text = String(value);
+            // Keep spreadsheets from evaluating text that looks like a formula
+            if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
 
-    /**
-     * Extract the main subject from a sentence
-     */
-    extractSubject(text) {
-        // Remove leading articles
-        let subject = text.replace(/^(?:the|a|an)\s+/i, '');
-
-        // Take first meaningful phrase
-        const phrases = subject.split(/[,;:]/);
-        subject = phrases[0].trim();
-
-        // Limit length
-        const words = subject.split(/\s+/);
-        if (words.length > 5) {
-            subject = words.slice(0, 5).join(' ');
-        }
+        const rows = [
+            columns.map(([name]) => name),
+            ...this.data.faqs.map(faq => columns.map(([, read]) => read(faq)))
+        ];
 
-        return subject;
+        // The byte order mark makes spreadsheet apps read the file as UTF-8
+        return '\uFEFF' + rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
     }
 
     /**
-     * Format a question based on sentence content
+     * schema.org FAQPage; each answer cites its verbatim reference as a Quotation
      */
-    formatQuestion(text, subject) {
-        const lowerText = text.toLowerCase();
+    toJSONLD() {
+        const { data } = this;
+        const page = {
+            '@context': 'https://schema.org',
+            '@type': 'FAQPage',
+            name: 'Frequently Asked Questions',
+            inLanguage: data.language,
+            dateCreated: data.generatedAt,
+            mainEntity: data.faqs.map(faq => ({
+                '@type': 'Question',
+                position: faq.number,
+                name: faq.question,
+                acceptedAnswer: {
+                    '@type': 'Answer',
+                    text: faq.answer,
+                    citation: {
+                        '@type': 'Quotation',
+                        text: faq.reference,
+                        description: this.location(faq)
+                    }
+                }
+            }))
+        };
 
-        // Detect the type of information and generate appropriate question
-        if (/\b(?:is|are|was|were)\s+(?:a|an|the)?\s*(?:type|kind|form|example)/i.test(text)) {
-            return `What type is ${subject}?`;
+        const sources = this.sourceNames();
+        if (sources.length) {
+            page.isBasedOn = sources.map(name => ({ '@type': 'DigitalDocument', name }));
         }
 
-        if (/\bpercent|%|\b\d+\s*(?:times|percent|million|billion)/i.test(text)) {
-            return `What is the quantity or percentage related to ${subject}?`;
-        }
+        return page;
+    }
 
-        if (/\b(?:causes?|leads?\s+to|results?\s+in)/i.test(text)) {
-            return `What are the effects or results of ${subject}?`;
-        }
+    statusLabel(faq) {
+        const labels = { pass: 'Verified', fail: 'Verification failed', unverified: 'Unverified' };
+        const status = labels[faq.verification && faq.verification.status] || 'Not verified';
+        return faq.edits.length ? `${status}, edited` : status;
+    }
 
-        if (/\b(?:because|since|due\s+to|reason)/i.test(text)) {
-            return `Why is ${subject} significant?`;
-        }
+    summaryLine() {
+        const { data } = this;
+        const sources = this.sourceNames();
+        return [
+            `Generated ${data.generatedAt}`,
+            sources.length ? `from ${sources.join(', ')}` : 'from pasted text',
+            `${data.faqCount} FAQs, ${data.verifiedCount} verified`
+        ].join(' · ');
+    }
 
-        if (/\b(?:helps?|enables?|allows?|supports?)/i.test(text)) {
-            return `How does ${subject} help or enable outcomes?`;
-        }
+    /**
+     * Backslash-escape source text so Markdown renders it literally: inline emphasis, code, links
+     * and HTML, plus line openers that would start a heading, quote or list
+     */
+    static escapeMarkdown(text) {
+        return String(text)
+            .replace(/[\\`*_[\]<>&|~]/g, '\\$&')
+            .replace(/^(\s*)([#>+=-])/gm, '$1\\$2')
+            .replace(/^(\s*\d+)([.)])/gm, '$1\\$2');
+    }
 
-        if (/\b(?:requires?|needs?|must|should)/i.test(text)) {
-            return `What are the requirements for ${subject}?`;
-        }
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
 
-        if (/\b(?:includes?|contains?|consists?|comprises?)/i.test(text)) {
-            return `What does ${subject} include or contain?`;
+    /**
+     * Read a JSON export back into FAQs and the settings they were generated with.
+     * Verification and file locations are left out; they depend on the source it is checked against.
+     */
+    static parseImport(data) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.faqs)) {
+            throw new Error('This is not an FAQ JSON export.');
         }
+        if (!data.faqs.length) throw new Error('The export contains no FAQs.');
 
-        if (/\b(?:located|found|exists?|occurs?)/i.test(text)) {
-            return `Where or when does ${subject} occur?`;
-        }
+        const faqs = data.faqs.map((faq, index) => {
+            const label = `FAQ ${index + 1}`;
+            ['question', 'answer', 'reference'].forEach(field => {
+                if (typeof faq[field] !== 'string' || !faq[field].trim()) throw new Error(`${label} has no ${field}.`);
+            });
+            const isSpan = span => span && Number.isInteger(span.start) && Number.isInteger(span.end) && span.start <= span.end;
+            if (!isSpan(faq.referenceSpan)) throw new Error(`${label} has no reference offsets.`);
 
-        if (/\b(?:process|method|way|approach|technique)/i.test(text)) {
-            return `What is the process or method for ${subject}?`;
-        }
+            return {
+                number: index + 1,
+                question: faq.question,
+                answer: faq.answer,
+                answerSpan: isSpan(faq.answerSpan) ? { start: faq.answerSpan.start, end: faq.answerSpan.end } : null,
+                answerOrigin: ['generated', 'selection', 'typed'].includes(faq.answerOrigin) ? faq.answerOrigin : 'generated',
+                pinned: Boolean(faq.pinned),
+                reference: faq.reference,
+                referenceSpan: { start: faq.referenceSpan.start, end: faq.referenceSpan.end },
+                headingPath: Array.isArray(faq.headingPath) ? faq.headingPath : [],
+                topic: faq.topic || null,
+                originalQuestion: faq.originalQuestion || faq.question,
+                originalAnswer: faq.originalAnswer || faq.answer,
+                edits: Array.isArray(faq.edits) ? faq.edits : []
+            };
+        });
 
-        // Default question format
-        return `What should be known about ${subject}?`;
-    }
+        // Exports from before a setting existed leave it at its current value
+        const settings = {};
+        if (data.faqCountSetting === 'auto' || Number.isInteger(data.faqCountSetting)) settings.faqCount = data.faqCountSetting;
+        if (CONFIG.ANSWER_MODES.includes(data.answerMode)) settings.answerMode = data.answerMode;
+        if (typeof data.includeFollowUp === 'boolean') settings.includeFollowUp = data.includeFollowUp;
+        if (data.languageSetting === 'auto' || CONFIG.LANGUAGES[data.languageSetting]) settings.language = data.languageSetting;
+        if (Array.isArray(data.selectedTopics)) settings.topics = data.selectedTopics;
+        if (CONFIG.SELECTION_MODES.includes(data.selectionMode)) settings.selectionMode = data.selectionMode;
 
-    /**
-     * Generate an answer strictly from the source sentence
-     */
-    generateAnswer(sentence) {
-        // The answer is the original sentence - no modification to prevent hallucination
-        return sentence.text;
+        return {
+            generatedAt: data.generatedAt || null,
+            sourceFiles: Array.isArray(data.sourceFiles) ? data.sourceFiles : [],
+            targetCount: data.targetFaqCount || faqs.length,
+            settings,
+            faqs
+        };
     }
 }
 
 // ===================================
-// FILE PARSER
+// COMPLIANCE REPORT
 // ===================================
-class FileParser {
+/**
+ * Sign-off report of a generation run: every FAQ with its verbatim reference and location,
+ * the source files with their SHA-256 hashes, the settings used and a signature block
+ */
+class ComplianceReport {
     /**
-     * Parse a file and extract text content
-     * Supports: TXT, PDF, DOCX, MD, JSON
+     * @param {Object} data - Export data from UIController.buildExportData()
+     * @param {Object} hashes - { sourceText, documents: [{ name, textSha256, fileSha256 }] }
      */
-    static async parse(file) {
-        const extension = file.name.split('.').pop().toLowerCase();
-
-        switch (extension) {
-            case 'txt':
-            case 'text':
-            case 'md':
-                return await this.parseTextFile(file);
-            case 'pdf':
-                return await this.parsePDF(file);
-            case 'docx':
-                return await this.parseDOCX(file);
-            case 'json':
-                return await this.parseJSON(file);
-            default:
-                throw new Error(`Unsupported file format: .${extension}`);
-        }
+    constructor(data, hashes) {
+        this.data = data;
+        this.hashes = hashes;
     }
 
     /**
-     * Parse plain text files (TXT, MD)
+     * Hex SHA-256 of a string (as UTF-8) or of raw bytes
      */
-    static async parseTextFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = () => reject(new Error('Failed to read text file'));
-            reader.readAsText(file);
-        });
+    static async sha256(input) {
+        if (!globalThis.crypto || !crypto.subtle) {
+            throw new Error('SHA-256 hashing needs a secure context (https or localhost).');
+        }
+        const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
     }
 
     /**
-     * Parse PDF files using PDF.js
+     * Report sections as plain data, shared by the HTML and DOCX renderings
      */
-    static async parsePDF(file) {
-        if (typeof pdfjsLib === 'undefined') {
-            throw new Error('PDF.js library not loaded. Please check your internet connection.');
-        }
-
-        // Set worker source
-        pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
-
-        const arrayBuffer = await file.arrayBuffer();
-        const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+    sections() {
+        const { data } = this;
+        const settings = [
+            ['FAQ count setting', data.faqCountSetting],
+            ['Answer mode', data.answerMode],
+            ['Include follow-up sentence', data.includeFollowUp ? 'yes' : 'no'],
+            ['Selection mode', data.selectionMode],
+            ['Language', data.languageSetting === 'auto' ? `${data.language} (detected)` : data.language],
+            ['Scoring preset', data.scoringPreset || 'Default'],
+            ['Selected topics', data.selectedTopics.length ? data.selectedTopics.join(', ') : 'none']
+        ];
 
-        let fullText = '';
+        const sources = this.hashes.documents.length
+            ? this.hashes.documents.map(doc => [
+                ['File', doc.name],
+                ['Size', doc.size ? `${doc.size} bytes` : 'unknown'],
+                ['SHA-256 (file)', doc.fileSha256 || 'not available (file not loaded in this session)'],
+                ['SHA-256 (extracted text)', doc.textSha256]
+            ])
+            : [[['File', 'Pasted text (no file)']]];
+
+        const summary = [
+            ['Generated at', data.generatedAt],
+            ['FAQs', `${data.faqCount} (target ${data.targetFaqCount})`],
+            ['Verified', String(data.verifiedCount)],
+            ['Edited', String(data.editedCount)],
+            ['Source length', `${data.sourceDocumentLength} characters`],
+            ['SHA-256 (source text)', this.hashes.sourceText]
+        ];
 
-        for (let i = 1; i <= pdf.numPages; i++) {
-            const page = await pdf.getPage(i);
-            const textContent = await page.getTextContent();
-            const pageText = textContent.items.map(item => item.str).join(' ');
-            fullText += pageText + '\n';
-        }
+        const faqs = data.faqs.map(faq => ({
+            number: faq.number,
+            question: faq.question,
+            answer: faq.answer,
+            reference: faq.reference,
+            details: [
+                ['Location', FAQExporter.describeLocation(faq.source, faq.referenceSpan)],
+                ['Offsets', `characters ${faq.referenceSpan.start}–${faq.referenceSpan.end}`],
+                ['Answer origin', faq.answerOrigin],
+                ['Verification', faq.verification
+                    ? `${faq.verification.status}: ${faq.verification.checks.map(check => `${check.passed ? '✓' : '✗'} ${check.label}`).join('; ')}`
+                    : 'not verified'],
+                ...(faq.edits.length
+                    ? [['Edits', faq.edits.map(edit => `${edit.field} ${edit.via === 'selection' ? 're-selected' : 'edited'} ${edit.editedAt}`).join('; ')]]
+                    : []),
+                ...(faq.originalQuestion ? [['Original question', faq.originalQuestion]] : []),
+                ...(faq.originalAnswer ? [['Original answer', faq.originalAnswer]] : [])
+            ]
+        }));
+
+        return { summary, sources, settings, faqs };
+    }
 
-        return fullText.trim();
+    /**
+     * Print-ready HTML; the browser's print dialog saves it as PDF
+     */
+    toHTML() {
+        const escape = FAQExporter.escapeHtml;
+        const { summary, sources, settings, faqs } = this.sections();
+        const table = rows => `
+            <table>${rows.map(([label, value]) => `<tr><th>${escape(label)}</th><td>${escape(value)}</td></tr>`).join('')}</table>`;
+
+        return `<!DOCTYPE html>
+<html lang="${escape(this.data.language)}">
+<head>
+    <meta charset="UTF-8">
+    <title>FAQ Compliance Report ${escape(this.data.generatedAt)}</title>
+    <style>
+        @page { size: A4; margin: 18mm 16mm; }
+        body { font-family: Georgia, 'Times New Roman', serif; font-size: 10.5pt; line-height: 1.45; color: #111; }
+        h1 { font-size: 18pt; margin: 0 0 4pt; }
+        h2 { font-size: 13pt; margin: 16pt 0 6pt; border-bottom: 1px solid #999; }
+        h3 { font-size: 11pt; margin: 0 0 4pt; }
+        table { width: 100%; border-collapse: collapse; margin-bottom: 8pt; }
+        th, td { padding: 3pt 6pt; border: 1px solid #bbb; text-align: left; vertical-align: top; }
+        th { width: 28%; background: #f3f3f3; font-weight: normal; }
+        td { word-break: break-word; }
+        .faq { padding: 8pt 0; border-bottom: 1px solid #ddd; break-inside: avoid; }
+        blockquote { margin: 4pt 0 6pt; padding: 4pt 8pt; border-left: 3px solid #555; background: #fafafa; white-space: pre-wrap; }
+        .signatures { margin-top: 18pt; break-inside: avoid; }
+        .signature-line { display: inline-block; width: 45%; margin: 22pt 4% 0 0; padding-top: 3pt; border-top: 1px solid #111; font-size: 9pt; }
+    </style>
+</head>
+<body>
+    <h1>FAQ Compliance Report</h1>
+    <p>Strict FAQ Generator. Every answer and reference below is quoted verbatim from the hashed source.</p>
+
+    <h2>Summary</h2>${table(summary)}
+
+    <h2>Source files</h2>${sources.map(table).join('')}
+
+    <h2>Generation settings</h2>${table(settings)}
+
+    <h2>FAQs</h2>
+    ${faqs.map(faq => `
+    <div class="faq">
+        <h3>${faq.number}. ${escape(faq.question)}</h3>
+        <p>${escape(faq.answer)}</p>
+        <blockquote>${escape(faq.reference)}</blockquote>${table(faq.details)}
+    </div>`).join('')}
+
+    <div class="signatures">
+        <h2>Sign-off</h2>
+        <span class="signature-line">Prepared by (name)</span><span class="signature-line">Date</span>
+        <span class="signature-line">Reviewed and approved by (name)</span><span class="signature-line">Signature and date</span>
+    </div>
+</body>
+</html>
+`;
     }
 
     /**
-     * Parse DOCX files using Mammoth.js
+     * Word document (WordprocessingML) packed in a ZIP
+     * @returns {Uint8Array}
      */
-    static async parseDOCX(file) {
-        if (typeof mammoth === 'undefined') {
-            throw new Error('Mammoth.js library not loaded. Please check your internet connection.');
-        }
+    toDOCX() {
+        const { summary, sources, settings, faqs } = this.sections();
+        const body = [
+            ComplianceReport.docxParagraph('FAQ Compliance Report', { bold: true, size: 36 }),
+            ComplianceReport.docxParagraph('Strict FAQ Generator. Every answer and reference below is quoted verbatim from the hashed source.'),
+            ComplianceReport.docxHeading('Summary'),
+            ComplianceReport.docxTable(summary),
+            ComplianceReport.docxHeading('Source files'),
+            ...sources.map(rows => ComplianceReport.docxTable(rows)),
+            ComplianceReport.docxHeading('Generation settings'),
+            ComplianceReport.docxTable(settings),
+            ComplianceReport.docxHeading('FAQs'),
+            ...faqs.flatMap(faq => [
+                ComplianceReport.docxParagraph(`${faq.number}. ${faq.question}`, { bold: true, size: 24 }),
+                ComplianceReport.docxParagraph(faq.answer),
+                ComplianceReport.docxParagraph(faq.reference, { italic: true, indent: true }),
+                ComplianceReport.docxTable(faq.details)
+            ]),
+            ComplianceReport.docxHeading('Sign-off'),
+            ...['Prepared by (name)', 'Date', 'Reviewed and approved by (name)', 'Signature and date'].map(label =>
+                ComplianceReport.docxParagraph(`${label}: ______________________________`, { spaceBefore: 360 }))
+        ].join('');
+
+        const word = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+        const files = [
+            ['[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+                '</Types>'],
+            ['_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+                '</Relationships>'],
+            ['word/document.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                `<w:document xmlns:w="${word}"><w:body>${body}` +
+                '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1020" w:right="907" w:bottom="1020" w:left="907" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>' +
+                '</w:body></w:document>']
+        ];
 
-        const arrayBuffer = await file.arrayBuffer();
-        const result = await mammoth.extractRawText({ arrayBuffer });
+        return StoredZip.build(files.map(([name, content]) => ({ name, data: new TextEncoder().encode(content) })));
+    }
 
-        if (result.messages.length > 0) {
-            console.warn('DOCX parsing warnings:', result.messages);
-        }
+    static docxText(text) {
+        // XML 1.0 cannot carry most control characters
+        return String(text)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
 
-        return result.value;
+    static docxRun(text, { bold = false, italic = false, size = null } = {}) {
+        const properties = `${bold ? '<w:b/>' : ''}${italic ? '<w:i/>' : ''}${size ? `<w:sz w:val="${size}"/>` : ''}`;
+        const lines = String(text).split('\n')
+            .map(line => `<w:t xml:space="preserve">${ComplianceReport.docxText(line)}</w:t>`)
+            .join('<w:br/>');
+        return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}${lines}</w:r>`;
     }
 
-    /**
-     * Parse JSON files (extracts text from string values)
-     */
-    static async parseJSON(file) {
-        const text = await this.parseTextFile(file);
-        const json = JSON.parse(text);
-
-        // Extract all string values recursively
-        const extractStrings = (obj) => {
-            const strings = [];
-
-            if (typeof obj === 'string') {
-                strings.push(obj);
-            } else if (Array.isArray(obj)) {
-                obj.forEach(item => strings.push(...extractStrings(item)));
-            } else if (typeof obj === 'object' && obj !== null) {
-                Object.values(obj).forEach(value => strings.push(...extractStrings(value)));
-            }
+    static docxParagraph(text, options = {}) {
+        const properties = [
+            options.indent ? '<w:ind w:left="567"/>' : '',
+            `<w:spacing w:before="${options.spaceBefore || 0}" w:after="120"/>`
+        ].join('');
+        return `<w:p><w:pPr>${properties}</w:pPr>${ComplianceReport.docxRun(text, options)}</w:p>`;
+    }
 
-            return strings;
-        };
+    static docxHeading(text) {
+        return ComplianceReport.docxParagraph(text, { bold: true, size: 28, spaceBefore: 240 });
+    }
+
+    static docxTable(rows) {
+        const border = side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="BBBBBB"/>`;
+        const cell = (text, width, options) =>
+            `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/></w:tcPr>${ComplianceReport.docxParagraph(text, options)}</w:tc>`;
 
-        return extractStrings(json).join('\n');
+        return '<w:tbl><w:tblPr><w:tblW w:w="5000" w:type="pct"/>' +
+            `<w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders>` +
+            '</w:tblPr><w:tblGrid><w:gridCol w:w="2800"/><w:gridCol w:w="7200"/></w:tblGrid>' +
+            rows.map(([label, value]) => `<w:tr>${cell(label, 2800, { bold: true })}${cell(value, 7200)}</w:tr>`).join('') +
+            '</w:tbl><w:p/>';
     }
+}
 
+/**
+ * Minimal ZIP writer: entries are stored uncompressed, which every unzipper and Office reads
+ */
+class StoredZip {
     /**
-     * Format file size for display
+     * @param {Array<{ name: string, data: Uint8Array }>} files
+     * @returns {Uint8Array}
      */
-    static formatFileSize(bytes) {
-        if (bytes < 1024) return bytes + ' B';
-        if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
-        return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    static build(files) {
+        const encoder = new TextEncoder();
+        const { time, date } = StoredZip.dosDateTime(new Date());
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const crc = StoredZip.crc32(file.data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true); // version needed
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true); // stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, file.data.length, true);
+            local.setUint32(22, file.data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true);
+            header.setUint16(4, 20, true); // version made by
+            header.setUint16(6, 20, true);
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, time, true);
+            header.setUint16(14, date, true);
+            header.setUint32(16, crc, true);
+            header.setUint32(20, file.data.length, true);
+            header.setUint32(24, file.data.length, true);
+            header.setUint16(28, name.length, true);
+            header.setUint32(42, offset, true);
+
+            chunks.push(new Uint8Array(local.buffer), name, file.data);
+            central.push(new Uint8Array(header.buffer), name);
+            offset += 30 + name.length + file.data.length;
+        });
+
+        const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+        return zip;
+    }
+
+    static crc32(bytes) {
+        if (!StoredZip.table) {
+            StoredZip.table = new Uint32Array(256).map((_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                return c;
+            });
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = StoredZip.table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    static dosDateTime(moment) {
+        return {
+            time: (moment.getHours() << 11) | (moment.getMinutes() << 5) | (moment.getSeconds() >> 1),
+            date: ((moment.getFullYear() - 1980) << 9) | ((moment.getMonth() + 1) << 5) | moment.getDate()
+        };
     }
 }
 
@@ -591,8 +996,16 @@ class FileParser {
 // ===================================
 class UIController {
     constructor() {
+        this.nextFileId = 0;
+        this.library = ProjectLibrary.isSupported() ? new ProjectLibrary() : null;
+        // PDF.js comes from the page; without it, PDF uploads report the missing library
+        if (typeof pdfjsLib !== 'undefined') pdfjsLib.GlobalWorkerOptions.workerSrc = UI_CONFIG.PDF_WORKER_SRC;
+        this.loadQuestionPatterns();
+        this.loadScoringSettings();
+        this.renderExportMenu();
         this.bindEvents();
         this.updateCharCount();
+        this.refreshProjectList();
     }
 
     bindEvents() {
@@ -600,17 +1013,193 @@ class UIController {
         elements.sourceDocument.addEventListener('input', () => {
             this.updateCharCount();
             this.validateInput();
+            this.renderOverlay();
+        });
+
+        // Pasted HTML markup is cleaned like an uploaded page
+        elements.sourceDocument.addEventListener('paste', (e) => this.handlePaste(e));
+
+        // Highlight overlay follows the textarea
+        elements.sourceDocument.addEventListener('scroll', () => this.syncOverlayScroll());
+        window.addEventListener('resize', () => this.syncOverlayScroll());
+        elements.highlightOverlay.addEventListener('click', (e) => {
+            const badge = e.target.closest('.overlay-mark-badge');
+            if (badge) this.focusFAQCard(Number(badge.dataset.faq));
+        });
+
+        // FAQ count setting
+        elements.faqCountInput.addEventListener('change', () => this.updateFAQCountSetting());
+        elements.faqCountAuto.addEventListener('change', () => this.updateFAQCountSetting());
+
+        // Answer extraction settings
+        elements.answerModeSelect.addEventListener('change', () => {
+            const mode = elements.answerModeSelect.value;
+            state.settings.answerMode = CONFIG.ANSWER_MODES.includes(mode) ? mode : 'sentence';
+        });
+        elements.followUpToggle.addEventListener('change', () => {
+            state.settings.includeFollowUp = elements.followUpToggle.checked;
+        });
+        elements.selectionModeSelect.addEventListener('change', () => {
+            const mode = elements.selectionModeSelect.value;
+            state.settings.selectionMode = CONFIG.SELECTION_MODES.includes(mode) ? mode : 'score';
         });
+        elements.languageSelect.addEventListener('change', () => {
+            const language = elements.languageSelect.value;
+            state.settings.language = CONFIG.LANGUAGES[language] ? language : 'auto';
+            state.analyzer = null;
+            state.generator = null;
+            this.renderCandidatePool();
+            this.renderTopics();
+        });
+
+        // Custom question templates
+        elements.savePatternsBtn.addEventListener('click', () => this.saveQuestionPatterns());
+        elements.resetPatternsBtn.addEventListener('click', () => this.resetQuestionPatterns());
 
         // Generate button
         elements.generateBtn.addEventListener('click', () => this.handleGenerate());
 
         // Action buttons
         elements.copyAllBtn.addEventListener('click', () => this.copyAllFAQs());
-        elements.exportBtn.addEventListener('click', () => this.exportFAQs());
+        elements.exportBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleExportMenu();
+        });
+        elements.exportMenu.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-export-format]');
+            if (!option) return;
+            this.toggleExportMenu(false);
+            this.exportFAQs(option.dataset.exportFormat);
+        });
+        document.addEventListener('click', (e) => {
+            if (!elements.exportMenu.hidden && !elements.exportMenu.contains(e.target)) this.toggleExportMenu(false);
+        });
 
         // File upload events
         this.bindFileUploadEvents();
+
+        // Project library events
+        this.bindProjectEvents();
+
+        // Candidate pool events
+        this.bindCandidateEvents();
+
+        // Key topics events
+        this.bindTopicEvents();
+
+        // Revision diff events
+        this.bindRevisionEvents();
+
+        // Scoring settings events
+        this.bindScoringEvents();
+    }
+
+    bindScoringEvents() {
+        [elements.weightInputs, elements.importanceWordsInput, elements.stopWordsInput].forEach(input => {
+            input.addEventListener('change', () => this.updateScoringFromForm());
+        });
+
+        elements.applyPresetBtn.addEventListener('click', () => this.applyPreset());
+        elements.savePresetBtn.addEventListener('click', () => this.savePreset());
+        elements.deletePresetBtn.addEventListener('click', () => this.deletePreset());
+        elements.exportPresetBtn.addEventListener('click', () => this.exportPreset());
+        elements.importPresetBtn.addEventListener('click', () => elements.presetFileInput.click());
+        elements.presetFileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) this.importPresets(e.target.files[0]);
+        });
+        elements.presetSelect.addEventListener('change', () => this.updatePresetButtons());
+    }
+
+    bindTopicEvents() {
+        elements.topicsPanel.addEventListener('toggle', () => this.renderTopics());
+        elements.sourceDocument.addEventListener('input', () => this.scheduleTopicRefresh());
+
+        elements.topicList.addEventListener('change', (e) => {
+            const checkbox = e.target.closest('[data-topic]');
+            if (checkbox) this.toggleTopic(checkbox.dataset.topic, checkbox.checked);
+        });
+        elements.topicList.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-occurrence-start]');
+            if (link) this.selectSourceSpan(Number(link.dataset.occurrenceStart), Number(link.dataset.occurrenceEnd));
+        });
+
+        elements.clearTopicsBtn.addEventListener('click', () => {
+            state.settings.topics = [];
+            this.renderTopics();
+        });
+    }
+
+    bindCandidateEvents() {
+        elements.candidatePanel.addEventListener('toggle', () => this.renderCandidatePool());
+        elements.candidateFilter.addEventListener('input', () => this.renderCandidatePool());
+        elements.candidateStatusFilter.addEventListener('change', () => this.renderCandidatePool());
+
+        elements.candidateHead.addEventListener('click', (e) => {
+            const header = e.target.closest('[data-sort]');
+            if (!header) return;
+
+            const key = header.dataset.sort;
+            state.candidateSort = {
+                key,
+                // Text columns start ascending, score columns descending
+                descending: state.candidateSort.key === key
+                    ? !state.candidateSort.descending
+                    : !['position', 'text'].includes(key)
+            };
+            this.renderCandidatePool();
+        });
+
+        elements.candidateBody.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-promote]');
+            if (button) this.promoteCandidate(Number(button.dataset.promote));
+        });
+    }
+
+    bindRevisionEvents() {
+        elements.compareEditorBtn.addEventListener('click', () => this.compareRevision(elements.sourceDocument.value));
+        elements.revisionFileBtn.addEventListener('click', () => elements.revisionFileInput.click());
+        elements.revisionFileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) this.compareRevisionFile(e.target.files[0]);
+        });
+
+        elements.revisionReport.addEventListener('click', (e) => {
+            const faqLink = e.target.closest('[data-faq]');
+            if (faqLink) this.focusFAQCard(Number(faqLink.dataset.faq));
+            if (e.target.closest('[data-revision-action="apply"]')) this.applyRevision();
+        });
+        elements.revisionReport.addEventListener('change', (e) => {
+            const checkbox = e.target.closest('[data-suggestion]');
+            if (!checkbox || !state.revision) return;
+
+            const index = Number(checkbox.dataset.suggestion);
+            if (checkbox.checked) state.revision.selected.add(index);
+            else state.revision.selected.delete(index);
+        });
+    }
+
+    bindProjectEvents() {
+        elements.projectsBtn.addEventListener('click', () => this.toggleProjectSidebar());
+        elements.closeProjectsBtn.addEventListener('click', () => this.toggleProjectSidebar(false));
+        elements.newProjectBtn.addEventListener('click', () => this.newProject());
+
+        elements.importFAQsBtn.addEventListener('click', () => elements.importFileInput.click());
+        elements.importFileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) this.importFAQs(e.target.files);
+        });
+
+        elements.projectList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-project-action]');
+            if (!button) return;
+
+            const id = button.closest('.project-item').dataset.projectId;
+            const actions = {
+                open: () => this.openProject(id),
+                rename: () => this.renameProject(id),
+                duplicate: () => this.duplicateProject(id),
+                delete: () => this.deleteProject(id)
+            };
+            actions[button.dataset.projectAction]();
+        });
     }
 
     bindFileUploadEvents() {
@@ -623,7 +1212,7 @@ class UIController {
         // File input change
         fileInput.addEventListener('change', (e) => {
             if (e.target.files.length > 0) {
-                this.handleFileUpload(e.target.files[0]);
+                this.handleFileUploads(e.target.files);
             }
         });
 
@@ -644,123 +1233,806 @@ class UIController {
 
             const files = e.dataTransfer.files;
             if (files.length > 0) {
-                this.handleFileUpload(files[0]);
+                this.handleFileUploads(files);
             }
         });
 
-        // Remove file button
-        elements.fileRemove.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.removeFile();
+        // Remove and JSON mapping buttons in the file list
+        elements.fileList.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.file-remove');
+            if (removeBtn) {
+                e.stopPropagation();
+                this.removeFile(Number(removeBtn.dataset.fileId));
+                return;
+            }
+
+            const applyBtn = e.target.closest('.json-mapping-apply');
+            if (applyBtn) {
+                this.applyJSONMapping(Number(applyBtn.dataset.fileId));
+            }
         });
     }
 
-    async handleFileUpload(file) {
-        // Validate file type
-        const validExtensions = ['txt', 'text', 'pdf', 'docx', 'md', 'json'];
-        const extension = file.name.split('.').pop().toLowerCase();
-
-        if (!validExtensions.includes(extension)) {
-            this.showToast(`Unsupported file type: .${extension}. Please use TXT, PDF, DOCX, MD, or JSON.`, 'error');
-            return;
-        }
-
-        // Show loading state
-        elements.fileDropZone.classList.add('hidden');
-        elements.fileInfo.classList.add('hidden');
-        elements.fileLoading.classList.remove('hidden');
+    async handleFileUploads(fileList) {
+        const files = Array.from(fileList);
+        const entries = [];
 
-        try {
-            // Parse the file
-            const text = await FileParser.parse(file);
+        files.forEach(file => {
+            const extension = file.name.split('.').pop().toLowerCase();
 
-            if (!text || text.trim().length === 0) {
-                throw new Error('No text content found in the file.');
+            // Validate file type
+            if (!CONFIG.SUPPORTED_EXTENSIONS.includes(extension)) {
+                this.showToast(`Unsupported file type: .${extension}. Please use TXT, PDF, DOCX, MD, JSON, or HTML.`, 'error');
+                return;
             }
 
-            // Update state
-            state.currentFile = file;
+            const isDuplicate = state.files.some(entry =>
+                entry.name === file.name && entry.size === file.size && entry.file.lastModified === file.lastModified
+            );
+            if (isDuplicate) {
+                this.showToast(`${file.name} is already loaded`, 'info');
+                return;
+            }
 
-            // Update textarea with extracted text
-            elements.sourceDocument.value = text;
-            this.updateCharCount();
-            this.validateInput();
+            const entry = {
+                id: ++this.nextFileId,
+                file,
+                name: file.name,
+                size: file.size,
+                status: 'parsing',
+                text: '',
+                error: null
+            };
+            state.files.push(entry);
+            entries.push(entry);
+        });
 
-            // Show file info
-            elements.fileName.textContent = file.name;
-            elements.fileSize.textContent = FileParser.formatFileSize(file.size);
+        // Reset file input
+        elements.fileInput.value = '';
 
-            elements.fileLoading.classList.add('hidden');
-            elements.fileDropZone.classList.add('hidden');
-            elements.fileInfo.classList.remove('hidden');
+        if (!entries.length) return;
+        this.renderFileList();
 
-            this.showToast(`Successfully loaded: ${file.name}`, 'success');
+        // Parse one at a time so large PDFs don't compete for memory
+        for (const entry of entries) {
+            try {
+                const { text, segments, json } = await FileParser.parse(entry.file);
 
-        } catch (error) {
-            console.error('File parsing error:', error);
-            this.showToast(error.message || 'Failed to parse file.', 'error');
+                if (!text || text.trim().length === 0) {
+                    throw new Error('No text content found in the file.');
+                }
 
-            // Reset to drop zone
-            elements.fileLoading.classList.add('hidden');
-            elements.fileDropZone.classList.remove('hidden');
-            elements.fileInfo.classList.add('hidden');
+                entry.text = text;
+                entry.segments = segments;
+                entry.json = json || null;
+                entry.status = 'ready';
+            } catch (error) {
+                console.error('File parsing error:', error);
+                entry.status = 'error';
+                entry.error = error.message || 'Failed to parse file.';
+            }
+            this.renderFileList();
         }
 
-        // Reset file input
-        elements.fileInput.value = '';
-    }
+        // The entry may have been removed while it was parsing
+        const loaded = entries.filter(entry => entry.status === 'ready' && state.files.includes(entry));
+        const failed = entries.filter(entry => entry.status === 'error');
 
-    removeFile() {
-        state.currentFile = null;
-        elements.sourceDocument.value = '';
+        this.rebuildCorpus();
+
+        if (loaded.length) {
+            this.showToast(loaded.length === 1
+                ? `Successfully loaded: ${loaded[0].name}`
+                : `Successfully loaded ${loaded.length} files`, 'success');
+        }
+        if (failed.length) {
+            this.showToast(`Failed to load ${failed.map(entry => entry.name).join(', ')}`, 'error');
+        }
+    }
 
-        elements.fileInfo.classList.add('hidden');
-        elements.fileDropZone.classList.remove('hidden');
+    removeFile(id) {
+        const entry = state.files.find(file => file.id === id);
+        if (!entry) return;
 
-        this.updateCharCount();
-        this.validateInput();
+        state.files = state.files.filter(file => file !== entry);
+        this.renderFileList();
+        this.rebuildCorpus();
 
-        this.showToast('File removed', 'info');
+        this.showToast(`${entry.name} removed`, 'info');
     }
 
-    updateCharCount() {
-        const count = elements.sourceDocument.value.length;
-        elements.charCount.textContent = `${count.toLocaleString()} characters`;
+    toggleProjectSidebar(open = !elements.projectSidebar.classList.contains('open')) {
+        elements.projectSidebar.classList.toggle('open', open);
+        elements.projectSidebar.setAttribute('aria-hidden', String(!open));
+        if (open) this.refreshProjectList();
     }
 
-    validateInput() {
-        const text = elements.sourceDocument.value.trim();
-        const sentences = text.split(/[.!?]+/).filter(s => s.trim().length >= CONFIG.MIN_SENTENCE_LENGTH);
-        const isValid = sentences.length >= CONFIG.MIN_SENTENCES;
-
-        // Update requirement indicator
-        if (isValid) {
-            elements.reqLength.classList.add('met');
-            elements.reqLength.innerHTML = `
-                <svg viewBox="0 0 24 24" fill="currentColor">
-                    <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"/>
-                </svg>
-                ${sentences.length} sentences detected (minimum 5)
-            `;
-        } else {
-            elements.reqLength.classList.remove('met');
-            elements.reqLength.innerHTML = `
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <circle cx="12" cy="12" r="10"/>
-                </svg>
-                ${sentences.length} of 5 minimum sentences
-            `;
+    async refreshProjectList() {
+        if (!this.library) {
+            elements.projectList.innerHTML = '<li class="project-empty">Project library is not available in this browser.</li>';
+            return;
         }
 
-        elements.generateBtn.disabled = !isValid;
-        return isValid;
+        try {
+            const projects = await this.library.list();
+            elements.projectList.innerHTML = projects.length
+                ? projects.map(project => this.createProjectItem(project)).join('')
+                : '<li class="project-empty">Generated FAQs are saved here automatically.</li>';
+        } catch (error) {
+            console.error('Project library error:', error);
+            elements.projectList.innerHTML = '<li class="project-empty">Could not read the project library.</li>';
+        }
     }
 
-    async handleGenerate() {
+    createProjectItem(project) {
+        const updated = new Date(project.updatedAt).toLocaleString();
+        const fileCount = project.files.length;
+
+        return `
+            <li class="project-item ${project.id === state.projectId ? 'current' : ''}" data-project-id="${this.escapeHtml(project.id)}">
+                <button class="project-open" data-project-action="open" title="Reopen project">
+                    <span class="project-name">${this.escapeHtml(project.name)}</span>
+                    <span class="project-meta">${project.faqs.length} FAQs • ${fileCount} ${fileCount === 1 ? 'file' : 'files'} • ${this.escapeHtml(updated)}</span>
+                </button>
+                <div class="project-actions">
+                    <button class="action-btn" data-project-action="rename">Rename</button>
+                    <button class="action-btn" data-project-action="duplicate">Duplicate</button>
+                    <button class="action-btn" data-project-action="delete">Delete</button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Save the current run: updates the open project while its source is unchanged,
+     * otherwise starts a new one
+     */
+    async saveProject() {
+        if (!this.library) return;
+
+        try {
+            const existing = state.projectId ? await this.library.get(state.projectId) : null;
+            const base = existing && existing.sourceText === state.sourceText
+                ? existing
+                : { id: ProjectLibrary.createId(), name: this.defaultProjectName() };
+
+            const project = await this.library.save({
+                ...base,
+                sourceText: state.sourceText,
+                pastedDocument: state.pastedDocument,
+                files: state.files
+                    .filter(entry => entry.status === 'ready')
+                    .map(entry => ({
+                        name: entry.name,
+                        size: entry.size,
+                        type: entry.file.type,
+                        lastModified: entry.file.lastModified,
+                        blob: entry.file,
+                        text: entry.text,
+                        segments: entry.segments,
+                        json: entry.json
+                    })),
+                settings: { ...state.settings },
+                targetCount: state.targetCount,
+                faqs: state.faqs
+            });
+
+            state.projectId = project.id;
+            this.refreshProjectList();
+        } catch (error) {
+            console.error('Project save error:', error);
+            this.showToast('FAQs could not be saved to the project library.', 'warning');
+        }
+    }
+
+    defaultProjectName() {
+        const files = state.files.filter(entry => entry.status === 'ready');
+        if (files.length) {
+            return files.length === 1 ? files[0].name : `${files[0].name} + ${files.length - 1} more`;
+        }
+
+        const words = state.sourceText.trim().split(/\s+/).slice(0, 6).join(' ');
+        return words ? `${words}…` : 'Untitled project';
+    }
+
+    /**
+     * Restore a saved project's files, settings and FAQs
+     */
+    async openProject(id) {
+        try {
+            const project = await this.library.get(id);
+            if (!project) throw new Error('Project not found');
+
+            state.files = project.files.map(saved => ({
+                id: ++this.nextFileId,
+                file: saved.blob instanceof File
+                    ? saved.blob
+                    : new File([saved.blob], saved.name, { type: saved.type, lastModified: saved.lastModified }),
+                name: saved.name,
+                size: saved.size,
+                status: 'ready',
+                text: saved.text,
+                segments: saved.segments,
+                json: saved.json || null,
+                error: null
+            }));
+            this.renderFileList();
+            this.rebuildCorpus();
+
+            // The source may have been edited after upload
+            elements.sourceDocument.value = project.sourceText;
+            state.sourceText = project.sourceText;
+            state.pastedDocument = project.pastedDocument || null;
+            state.sourceCorpus = this.resolveSourceCorpus();
+            state.analyzer = null;
+            state.generator = null;
+            state.skippedSentences = new Set();
+
+            this.applySettings(project.settings);
+            state.faqs = project.faqs;
+            state.targetCount = project.targetCount;
+            state.projectId = project.id;
+
+            this.updateCharCount();
+            this.validateInput();
+            elements.emptyState.classList.add('hidden');
+            this.renderFAQs();
+            this.refreshProjectList();
+            this.toggleProjectSidebar(false);
+            this.showToast(`Opened ${project.name}`, 'success');
+        } catch (error) {
+            console.error('Project open error:', error);
+            this.showToast(`Could not open project: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Put saved generation settings back into state and the option controls
+     */
+    applySettings(settings) {
+        state.settings = { ...state.settings, ...settings };
+
+        elements.faqCountAuto.checked = state.settings.faqCount === 'auto';
+        if (state.settings.faqCount !== 'auto') elements.faqCountInput.value = state.settings.faqCount;
+        this.updateFAQCountSetting();
+
+        elements.answerModeSelect.value = state.settings.answerMode;
+        elements.followUpToggle.checked = state.settings.includeFollowUp;
+        if (!settings.selectionMode) state.settings.selectionMode = 'score';
+        elements.selectionModeSelect.value = state.settings.selectionMode;
+        // Projects saved before language support existed were English, which auto-detect finds
+        if (!settings.language) state.settings.language = 'auto';
+        elements.languageSelect.value = state.settings.language;
+        if (!settings.topics) state.settings.topics = [];
+        this.renderTopics();
+        elements.questionPatternsInput.value = state.settings.questionPatterns.length
+            ? JSON.stringify(state.settings.questionPatterns, null, 2)
+            : '';
+
+        // Projects saved before scoring settings existed used the defaults
+        if (!state.settings.scoring) state.settings.scoring = ScoringPresets.defaults();
+        this.renderScoringForm();
+    }
+
+    async renameProject(id) {
+        try {
+            const project = await this.library.get(id);
+            if (!project) return;
+
+            const name = prompt('Project name', project.name);
+            if (!name || !name.trim() || name.trim() === project.name) return;
+
+            await this.library.rename(id, name.trim());
+            this.refreshProjectList();
+        } catch (error) {
+            console.error('Project rename error:', error);
+            this.showToast(`Could not rename project: ${error.message}`, 'error');
+        }
+    }
+
+    async duplicateProject(id) {
+        try {
+            const copy = await this.library.duplicate(id);
+            this.refreshProjectList();
+            this.showToast(`Created ${copy.name}`, 'success');
+        } catch (error) {
+            console.error('Project duplicate error:', error);
+            this.showToast(`Could not duplicate project: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteProject(id) {
+        try {
+            const project = await this.library.get(id);
+            if (!project || !confirm(`Delete "${project.name}"? This cannot be undone.`)) return;
+
+            await this.library.delete(id);
+            if (state.projectId === id) state.projectId = null;
+            this.refreshProjectList();
+            this.showToast(`${project.name} deleted`, 'info');
+        } catch (error) {
+            console.error('Project delete error:', error);
+            this.showToast(`Could not delete project: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Clear the workspace; the next generation starts a new project
+     */
+    newProject() {
+        state.files = [];
+        state.pastedDocument = null;
+        state.sourceText = '';
+        state.faqs = [];
+        state.sourceCorpus = null;
+        state.analyzer = null;
+        state.generator = null;
+        state.skippedSentences = new Set();
+        state.projectId = null;
+        this.renderFileList();
+        this.rebuildCorpus();
+
+        elements.faqGrid.innerHTML = '';
+        elements.outputSection.classList.remove('visible');
+        elements.emptyState.classList.remove('hidden');
+        this.refreshProjectList();
+        this.toggleProjectSidebar(false);
+    }
+
+    /**
+     * Restore FAQs from a JSON export and re-check each reference against the current
+     * source. Other files chosen with the export replace the loaded source first.
+     */
+    async importFAQs(fileList) {
+        elements.importFileInput.value = '';
+        const files = Array.from(fileList);
+
+        try {
+            // The export is the first JSON file that parses as one; any other JSON is a source document
+            let imported = null;
+            let exportFile = null;
+            let exportError = null;
+            for (const file of files.filter(file => file.name.toLowerCase().endsWith('.json'))) {
+                try {
+                    imported = FAQExporter.parseImport(JSON.parse(await FileParser.parseTextFile(file)));
+                    exportFile = file;
+                    break;
+                } catch (error) {
+                    exportError = exportError || error;
+                }
+            }
+            if (!imported) throw exportError || new Error('Choose the FAQ JSON export.');
+
+            const sources = files.filter(file => file !== exportFile);
+            if (sources.length) {
+                state.files = [];
+                state.pastedDocument = null;
+                await this.handleFileUploads(sources);
+                if (!state.corpus) throw new Error('None of the source files could be loaded.');
+            } else if (!elements.sourceDocument.value.trim()) {
+                throw new Error('Load the current source document first, or choose it together with the export.');
+            }
+
+            state.sourceText = elements.sourceDocument.value;
+            state.sourceCorpus = this.resolveSourceCorpus();
+            state.analyzer = null;
+            state.generator = null;
+            state.skippedSentences = new Set();
+            state.projectId = null;
+            this.applySettings(imported.settings);
+
+            state.faqs = new ReferenceTracker(state.sourceText).trackAll(imported.faqs);
+            state.targetCount = imported.targetCount;
+            state.faqs.forEach(faq => {
+                faq.source = faq.referenceCheck.status === 'missing'
+                    ? null
+                    : state.sourceCorpus.describeSpan(faq.referenceSpan);
+            });
+            new FAQVerifier(this.getAnalyzer()).verifyAll(state.faqs);
+
+            elements.emptyState.classList.add('hidden');
+            this.renderFAQs();
+
+            const count = status => state.faqs.filter(faq => faq.referenceCheck.status === status).length;
+            const moved = count('moved');
+            const missing = count('missing');
+            this.showToast(
+                `Imported ${state.faqs.length} FAQs: ${count('unchanged')} unchanged, ${moved} moved, ${missing} missing`,
+                moved || missing ? 'warning' : 'success'
+            );
+
+            await this.saveProject();
+        } catch (error) {
+            console.error('FAQ import error:', error);
+            this.showToast(`Could not import FAQs: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Replace pasted HTML markup with its cleaned main content
+     */
+    handlePaste(e) {
+        const pastedText = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+        if (!pastedText || !FileParser.looksLikeHTML(pastedText)) return;
+
+        const { text, segments } = FileParser.parseHTML(pastedText);
+        if (!text) return;
+
+        e.preventDefault();
+        const textarea = elements.sourceDocument;
+        const replacesAll = textarea.selectionStart === 0 && textarea.selectionEnd === textarea.value.length;
+        textarea.setRangeText(text, textarea.selectionStart, textarea.selectionEnd, 'end');
+
+        // Headings are only known while the cleaned page is the whole source
+        state.pastedDocument = replacesAll ? { text, segments } : null;
+
+        textarea.dispatchEvent(new Event('input'));
+        this.showToast('Pasted HTML was converted to its main text content', 'info');
+    }
+
+    /**
+     * Rebuild a JSON file's text from the content and title paths in its mapping editor
+     */
+    applyJSONMapping(id) {
+        const entry = state.files.find(file => file.id === id);
+        if (!entry || !entry.json) return;
+
+        const item = elements.fileList.querySelector(`[data-mapping-id="${id}"]`);
+        const readPaths = name => item.querySelector(`[name="${name}"]`).value
+            .split('\n')
+            .map(path => path.trim())
+            .filter(Boolean);
+        const mapping = { contentPaths: readPaths('contentPaths'), titlePaths: readPaths('titlePaths') };
+
+        try {
+            const { text, segments } = JSONPathMapper.build(entry.json.data, mapping);
+            if (!text.trim()) throw new Error('No text found at the content paths.');
+
+            entry.text = text;
+            entry.segments = segments;
+            entry.json.mapping = mapping;
+        } catch (error) {
+            this.showToast(`${entry.name}: ${error.message}`, 'error');
+            return;
+        }
+
+        this.renderFileList();
+        this.rebuildCorpus();
+        this.showToast(`Updated ${entry.name} from its JSON mapping`, 'success');
+    }
+
+    /**
+     * Combine every ready file into the source textarea
+     */
+    rebuildCorpus() {
+        const ready = state.files.filter(entry => entry.status === 'ready');
+        state.corpus = ready.length
+            ? new SourceCorpus(ready.map(entry => ({
+                name: entry.name,
+                size: entry.size,
+                text: entry.text,
+                segments: entry.segments
+            })))
+            : null;
+
+        elements.sourceDocument.value = state.corpus ? state.corpus.text : '';
+        this.updateCharCount();
+        this.validateInput();
+        this.renderOverlay();
+        this.scheduleTopicRefresh();
+    }
+
+    renderFileList() {
+        const statusLabels = { parsing: 'Processing file...', ready: 'Ready' };
+
+        elements.fileList.innerHTML = state.files.map(entry => `
+            <li class="file-item ${entry.status}">
+                <div class="file-icon">
+                    ${entry.status === 'parsing' ? '<div class="loading-spinner"></div>' : `
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z"/>
+                        <polyline points="14,2 14,8 20,8"/>
+                    </svg>`}
+                </div>
+                <div class="file-details">
+                    <span class="file-name">${this.escapeHtml(entry.name)}</span>
+                    <span class="file-size">${FileParser.formatFileSize(entry.size)} • ${this.escapeHtml(entry.error || statusLabels[entry.status])}</span>
+                </div>
+                <button class="file-remove" data-file-id="${entry.id}" title="Remove file">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"/>
+                        <line x1="6" y1="6" x2="18" y2="18"/>
+                    </svg>
+                </button>
+                ${entry.status === 'ready' && entry.json ? this.createJSONMappingEditor(entry) : ''}
+            </li>
+        `).join('');
+    }
+
+    createJSONMappingEditor(entry) {
+        const { contentPaths, titlePaths } = entry.json.mapping;
+
+        return `
+            <details class="json-mapping" data-mapping-id="${entry.id}">
+                <summary>JSON mapping: ${contentPaths.length} content ${contentPaths.length === 1 ? 'path' : 'paths'}</summary>
+                <p class="settings-hint">
+                    One path per line, e.g. <code>$.articles[*].body</code>. Supports <code>.key</code>,
+                    <code>['key']</code>, <code>[0]</code> and <code>[*]</code>. Titles become the section of the content inside the same object.
+                </p>
+                <label>
+                    Content paths
+                    <textarea name="contentPaths" class="code-input" rows="3" spellcheck="false">${this.escapeHtml(contentPaths.join('\n'))}</textarea>
+                </label>
+                <label>
+                    Title paths
+                    <textarea name="titlePaths" class="code-input" rows="2" spellcheck="false">${this.escapeHtml(titlePaths.join('\n'))}</textarea>
+                </label>
+                <div class="settings-actions">
+                    <button class="action-btn json-mapping-apply" data-file-id="${entry.id}">Apply mapping</button>
+                </div>
+            </details>
+        `;
+    }
+
+    updateFAQCountSetting() {
+        const isAuto = elements.faqCountAuto.checked;
+        elements.faqCountInput.disabled = isAuto;
+
+        if (isAuto) {
+            state.settings.faqCount = 'auto';
+        } else {
+            const value = parseInt(elements.faqCountInput.value, 10);
+            const count = Math.max(CONFIG.FAQ_COUNT_MIN, Math.min(CONFIG.FAQ_COUNT_MAX, value || CONFIG.FAQ_COUNT));
+            elements.faqCountInput.value = count;
+            state.settings.faqCount = count;
+        }
+
+        this.validateInput();
+    }
+
+    loadQuestionPatterns() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(UI_CONFIG.STORAGE_KEYS.QUESTION_PATTERNS) || '[]');
+            // Validate before use so a bad saved pattern can't break generation
+            QuestionTemplateEngine.mergePatterns(CONFIG.QUESTION_PATTERNS, saved);
+            state.settings.questionPatterns = saved;
+        } catch (error) {
+            console.warn('Ignoring saved question patterns:', error);
+            state.settings.questionPatterns = [];
+        }
+
+        elements.questionPatternsInput.value = state.settings.questionPatterns.length
+            ? JSON.stringify(state.settings.questionPatterns, null, 2)
+            : '';
+    }
+
+    loadScoringSettings() {
+        try {
+            const saved = localStorage.getItem(UI_CONFIG.STORAGE_KEYS.SCORING);
+            state.settings.scoring = saved ? ScoringPresets.validate(JSON.parse(saved)) : ScoringPresets.defaults();
+        } catch (error) {
+            console.warn('Ignoring saved scoring settings:', error);
+            state.settings.scoring = ScoringPresets.defaults();
+        }
+
+        this.renderScoringForm();
+        this.renderPresetOptions();
+    }
+
+    renderScoringForm() {
+        const { weights, importanceIndicators, stopWords } = state.settings.scoring;
+
+        elements.weightInputs.innerHTML = Object.entries(CONFIG.SCORING_WEIGHT_LABELS).map(([key, label]) => `
+            <label class="weight-field">
+                <span>${this.escapeHtml(label)}</span>
+                <input type="number" step="0.1" data-weight="${key}" value="${weights[key]}">
+            </label>
+        `).join('');
+        elements.importanceWordsInput.value = importanceIndicators.join(', ');
+        elements.stopWordsInput.value = stopWords.join(', ');
+    }
+
+    /**
+     * Read the scoring form into state and remember it for the next visit
+     */
+    updateScoringFromForm() {
+        const weights = {};
+        elements.weightInputs.querySelectorAll('[data-weight]').forEach(input => {
+            const value = parseFloat(input.value);
+            weights[input.dataset.weight] = Number.isFinite(value) ? value : CONFIG.SCORING_WEIGHTS[input.dataset.weight];
+        });
+        const words = input => input.value.split(/[,\n]/);
+
+        this.setScoring(ScoringPresets.validate({
+            name: 'Custom',
+            weights,
+            importanceIndicators: words(elements.importanceWordsInput),
+            stopWords: words(elements.stopWordsInput)
+        }));
+    }
+
+    setScoring(scoring) {
+        state.settings.scoring = scoring;
+        localStorage.setItem(UI_CONFIG.STORAGE_KEYS.SCORING, JSON.stringify(scoring));
+        this.renderScoringForm();
+
+        // Re-score the candidate pool with the new settings
+        state.analyzer = null;
+        state.generator = null;
+        this.renderCandidatePool();
+        this.renderTopics();
+    }
+
+    renderPresetOptions(selectedName = null) {
+        const option = (value, preset) => `<option value="${value}">${this.escapeHtml(preset.name)}</option>`;
+        const saved = ScoringPresets.loadSaved();
+
+        elements.presetSelect.innerHTML = `
+            <optgroup label="Built-in">${ScoringPresets.builtIns().map((preset, i) => option(`builtin:${i}`, preset)).join('')}</optgroup>
+            ${saved.length ? `<optgroup label="Saved">${saved.map((preset, i) => option(`saved:${i}`, preset)).join('')}</optgroup>` : ''}
+        `;
+
+        const index = saved.findIndex(preset => preset.name === selectedName);
+        if (index >= 0) elements.presetSelect.value = `saved:${index}`;
+        this.updatePresetButtons();
+    }
+
+    getSelectedPreset() {
+        const [kind, index] = elements.presetSelect.value.split(':');
+        const presets = kind === 'saved' ? ScoringPresets.loadSaved() : ScoringPresets.builtIns();
+        return presets[Number(index)] || null;
+    }
+
+    updatePresetButtons() {
+        elements.deletePresetBtn.disabled = !elements.presetSelect.value.startsWith('saved:');
+    }
+
+    applyPreset() {
+        const preset = this.getSelectedPreset();
+        if (!preset) return;
+
+        this.setScoring({ ...preset, questionPatterns: null });
+
+        if (preset.questionPatterns) {
+            state.settings.questionPatterns = preset.questionPatterns;
+            localStorage.setItem(UI_CONFIG.STORAGE_KEYS.QUESTION_PATTERNS, JSON.stringify(preset.questionPatterns));
+            elements.questionPatternsInput.value = preset.questionPatterns.length
+                ? JSON.stringify(preset.questionPatterns, null, 2)
+                : '';
+        }
+
+        this.showToast(`Applied preset: ${preset.name}`, 'success');
+    }
+
+    /**
+     * Save the current weights, word lists and question templates under a name
+     */
+    savePreset() {
+        const name = prompt('Preset name', state.settings.scoring.name === 'Custom' ? '' : state.settings.scoring.name);
+        if (!name || !name.trim()) return;
+
+        const preset = ScoringPresets.validate({
+            ...state.settings.scoring,
+            name,
+            questionPatterns: state.settings.questionPatterns
+        });
+        const saved = ScoringPresets.loadSaved().filter(existing => existing.name !== preset.name);
+        ScoringPresets.storeSaved([...saved, preset]);
+
+        this.renderPresetOptions(preset.name);
+        this.showToast(`Saved preset: ${preset.name}`, 'success');
+    }
+
+    deletePreset() {
+        const preset = this.getSelectedPreset();
+        if (!preset || !elements.presetSelect.value.startsWith('saved:')) return;
+        if (!confirm(`Delete the preset "${preset.name}"?`)) return;
+
+        ScoringPresets.storeSaved(ScoringPresets.loadSaved().filter(existing => existing.name !== preset.name));
+        this.renderPresetOptions();
+        this.showToast(`Deleted preset: ${preset.name}`, 'info');
+    }
+
+    exportPreset() {
+        const preset = this.getSelectedPreset();
+        if (!preset) return;
+
+        const json = JSON.stringify(ScoringPresets.toExport([preset]), null, 2);
+        const slug = preset.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        this.downloadFile(json, `faq-preset-${slug || 'custom'}.json`, 'application/json');
+    }
+
+    async importPresets(file) {
+        elements.presetFileInput.value = '';
+
+        try {
+            const imported = ScoringPresets.parseImport(JSON.parse(await FileParser.parseTextFile(file)));
+            const names = new Set(imported.map(preset => preset.name));
+            const saved = ScoringPresets.loadSaved().filter(existing => !names.has(existing.name));
+            ScoringPresets.storeSaved([...saved, ...imported]);
+
+            this.renderPresetOptions(imported[0].name);
+            this.showToast(`Imported ${imported.length} ${imported.length === 1 ? 'preset' : 'presets'}; press Apply to use it`, 'success');
+        } catch (error) {
+            this.showToast(`Invalid preset file: ${error.message}`, 'error');
+        }
+    }
+
+    saveQuestionPatterns() {
+        const raw = elements.questionPatternsInput.value.trim();
+
+        try {
+            const definitions = raw ? JSON.parse(raw) : [];
+            if (!Array.isArray(definitions)) {
+                throw new Error('Question patterns must be a JSON array.');
+            }
+            QuestionTemplateEngine.mergePatterns(CONFIG.QUESTION_PATTERNS, definitions);
+
+            state.settings.questionPatterns = definitions;
+            localStorage.setItem(UI_CONFIG.STORAGE_KEYS.QUESTION_PATTERNS, JSON.stringify(definitions));
+            this.showToast(`Saved ${definitions.length} custom question pattern${definitions.length === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            this.showToast(`Invalid question patterns: ${error.message}`, 'error');
+        }
+    }
+
+    resetQuestionPatterns() {
+        state.settings.questionPatterns = [];
+        localStorage.removeItem(UI_CONFIG.STORAGE_KEYS.QUESTION_PATTERNS);
+        elements.questionPatternsInput.value = '';
+        this.showToast('Question patterns reset to defaults', 'info');
+    }
+
+    /**
+     * Minimum sentences needed for the current FAQ count setting
+     */
+    getRequiredSentences() {
+        const count = state.settings.faqCount;
+        return count === 'auto' ? CONFIG.MIN_SENTENCES : count;
+    }
+
+    updateCharCount() {
+        const count = elements.sourceDocument.value.length;
+        elements.charCount.textContent = `${count.toLocaleString()} characters`;
+    }
+
+    validateInput() {
+        const text = elements.sourceDocument.value.trim();
+        const sentences = text.split(/[.!?\u0964]+/).filter(s => s.trim().length >= CONFIG.MIN_SENTENCE_LENGTH);
+        const required = this.getRequiredSentences();
+        const isValid = sentences.length >= required;
+
+        // Update requirement indicator
+        if (isValid) {
+            elements.reqLength.classList.add('met');
+            elements.reqLength.innerHTML = `
+                <svg viewBox="0 0 24 24" fill="currentColor">
+                    <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"/>
+                </svg>
+                ${sentences.length} sentences detected (minimum ${required})
+            `;
+        } else {
+            elements.reqLength.classList.remove('met');
+            elements.reqLength.innerHTML = `
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <circle cx="12" cy="12" r="10"/>
+                </svg>
+                ${sentences.length} of ${required} minimum sentences
+            `;
+        }
+
+        elements.generateBtn.disabled = !isValid;
+        return isValid;
+    }
+
+    async handleGenerate() {
         if (state.isGenerating || !this.validateInput()) return;
 
         state.isGenerating = true;
-        state.sourceText = elements.sourceDocument.value.trim();
+        // Keep the text untrimmed so reference offsets line up with the textarea
+        state.sourceText = elements.sourceDocument.value;
+
+        state.sourceCorpus = this.resolveSourceCorpus(true);
 
         // Update UI
         elements.generateBtn.classList.add('loading');
@@ -770,25 +2042,47 @@ class UIController {
         await this.delay(300);
 
         try {
-            // Analyze text
-            const analyzer = new TextAnalyzer(state.sourceText);
-
-            if (analyzer.sentences.length < CONFIG.MIN_SENTENCES) {
-                throw new Error('Not enough valid sentences found in the document.');
+            // Analyze, generate around the pinned FAQs and verify in the engine
+            const result = generateFAQs(state.sourceText, {
+                count: state.settings.faqCount,
+                language: state.settings.language,
+                answerMode: state.settings.answerMode,
+                includeFollowUp: state.settings.includeFollowUp,
+                selectionMode: state.settings.selectionMode,
+                topics: state.settings.topics,
+                questionPatterns: state.settings.questionPatterns,
+                scoring: state.settings.scoring,
+                segments: state.sourceCorpus.segments,
+                pinned: this.keepPinnedFAQs()
+            });
+            state.analyzer = result.analyzer;
+            state.generator = result.generator;
+            state.skippedSentences = new Set();
+            state.faqs = result.faqs;
+            state.targetCount = result.targetCount;
+            this.showDetectedLanguage(result.language);
+
+            if (result.unknownTopics.length) {
+                this.showToast(`Topics not found in the document: ${result.unknownTopics.join(', ')}`, 'warning');
             }
 
-            // Generate FAQs
-            const generator = new FAQGenerator(analyzer);
-            state.faqs = generator.generate();
+            // Record which file and location each reference came from
+            state.faqs.forEach(faq => {
+                faq.source = state.sourceCorpus.describeSpan(faq.referenceSpan);
+            });
 
-            if (state.faqs.length < CONFIG.FAQ_COUNT) {
-                this.showToast(`Generated ${state.faqs.length} FAQs. Document may need more diverse content for ${CONFIG.FAQ_COUNT} FAQs.`, 'warning');
+            if (result.missedTopics.length) {
+                this.showToast(`No FAQ could be generated for: ${result.missedTopics.join(', ')}`, 'warning');
+            } else if (state.faqs.length < state.targetCount) {
+                this.showToast(`Generated ${state.faqs.length} FAQs. Document may need more diverse content for ${state.targetCount} FAQs.`, 'warning');
             }
 
             // Render FAQs
             this.renderFAQs();
             this.showToast('Successfully generated FAQs from source document!', 'success');
 
+            await this.saveProject();
+
         } catch (error) {
             console.error('Generation error:', error);
             this.showToast(error.message || 'Failed to generate FAQs. Please check your input.', 'error');
@@ -798,6 +2092,56 @@ class UIController {
         }
     }
 
+    /**
+     * Name the detected language on the auto-detect option
+     */
+    showDetectedLanguage(language) {
+        const autoOption = elements.languageSelect.querySelector('option[value="auto"]');
+        autoOption.textContent = state.settings.language === 'auto'
+            ? `Auto-detect (${CONFIG.LANGUAGES[language].name})`
+            : 'Auto-detect';
+    }
+
+    /**
+     * Generator options for a document language; custom templates apply on top of its built-in ones
+     */
+    generatorOptions(language = 'en') {
+        return FAQGenerator.optionsFor(language, state.settings);
+    }
+
+    /**
+     * Pinned FAQs whose quoted text is still at the same offsets in the new source
+     */
+    keepPinnedFAQs() {
+        const pinned = state.faqs.filter(faq => faq.pinned);
+        const kept = pinned.filter(faq =>
+            state.sourceText.slice(faq.referenceSpan.start, faq.referenceSpan.end) === faq.reference &&
+            (!faq.answerSpan || state.sourceText.slice(faq.answerSpan.start, faq.answerSpan.end) === faq.answer)
+        );
+
+        const dropped = pinned.length - kept.length;
+        if (dropped) {
+            this.showToast(`${dropped} pinned ${dropped === 1 ? 'FAQ no longer matches' : 'FAQs no longer match'} the source and ${dropped === 1 ? 'was' : 'were'} dropped`, 'warning');
+        }
+        return kept;
+    }
+
+    /**
+     * Corpus for the current source text: the uploaded files while their
+     * combined text is unedited, otherwise the text as one unnamed document
+     */
+    resolveSourceCorpus(notify = false, text = state.sourceText) {
+        // File attribution only holds while the combined text is unedited
+        const filesIntact = state.corpus && state.corpus.text === text;
+        if (notify && state.corpus && !filesIntact) {
+            this.showToast('Source text was edited after upload, so references are not attributed to files.', 'info');
+        }
+        if (filesIntact) return state.corpus;
+
+        const pasted = state.pastedDocument && state.pastedDocument.text === text ? state.pastedDocument : null;
+        return new SourceCorpus([{ name: null, text, segments: pasted ? pasted.segments : undefined }]);
+    }
+
     renderFAQs() {
         elements.faqGrid.innerHTML = '';
         elements.outputSection.classList.add('visible');
@@ -809,15 +2153,389 @@ class UIController {
 
         // Initialize gradient follow effect for newly created cards
         reinitGradientFollowForCards();
+
+        this.renderOverlay();
+        this.updateTraceabilityNotice();
+        this.renderCoverage();
+        this.renderCandidatePool();
+        this.renderRevision();
+    }
+
+    /**
+     * List the document's sections with the FAQs drawn from each
+     */
+    renderCoverage() {
+        if (!state.sourceText) return;
+
+        const report = this.getGenerator().coverageReport(state.faqs);
+        const covered = report.filter(section => section.status === 'covered').length;
+        elements.coverageSummary.textContent = `(${covered} of ${report.length} sections covered)`;
+
+        elements.coverageList.innerHTML = report.map(section => {
+            const share = section.allocated !== null ? `, share ${section.allocated}` : '';
+            const faqs = section.faqNumbers.length
+                ? `FAQ ${section.faqNumbers.join(', ')}`
+                : 'skipped';
+            return `
+                <li class="coverage-item ${section.status}">
+                    <span class="coverage-label">${this.escapeHtml(section.label)}</span>
+                    <span class="coverage-detail">${section.sentenceCount} sentences${share} · ${faqs}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    async compareRevisionFile(file) {
+        elements.revisionFileInput.value = '';
+
+        try {
+            const { text, segments, json } = await FileParser.parse(file);
+            if (!text || !text.trim()) throw new Error('No text content found in the file.');
+            this.compareRevision(text, { file, segments, json });
+        } catch (error) {
+            console.error('Revision parsing error:', error);
+            this.showToast(`Could not read ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Diff a revised text against the source of the current FAQs and suggest FAQs for its new sentences
+     * @param {Object|null} upload - The revised file with its parsed segments, when it was loaded from one
+     */
+    compareRevision(text, upload = null) {
+        if (!state.faqs.length) return;
+        if (text === state.sourceText) {
+            this.showToast('The revised text is the same as the source these FAQs were generated from', 'info');
+            return;
+        }
+
+        const analyzer = new TextAnalyzer(text, {
+            segments: upload ? upload.segments : this.resolveSourceCorpus(false, text).segments,
+            scoring: state.settings.scoring,
+            language: state.settings.language
+        });
+        const diff = new DocumentDiff(this.getAnalyzer(), analyzer);
+        const generator = new FAQGenerator(analyzer, this.generatorOptions(analyzer.language));
+        const suggestions = diff.suggestions()
+            .map(sentence => generator.createFAQ(sentence, 0))
+            .filter(Boolean);
+
+        state.revision = {
+            oldText: state.sourceText,
+            text,
+            upload,
+            diff,
+            suggestions,
+            selected: new Set(suggestions.map((faq, index) => index))
+        };
+        elements.revisionPanel.open = true;
+        this.renderRevision();
+    }
+
+    /**
+     * Show how the compared revision affects each FAQ, with the suggested new FAQs
+     */
+    renderRevision() {
+        // A comparison only holds for the source it was made against
+        const revision = state.revision && state.revision.oldText === state.sourceText ? state.revision : null;
+        if (!revision) {
+            elements.revisionSummary.textContent = '';
+            elements.revisionReport.innerHTML = '';
+            return;
+        }
+
+        const labels = { unchanged: 'Unchanged', edited: 'Reference edited', removed: 'Reference removed' };
+        const impacts = state.faqs.map(faq => ({ faq, ...revision.diff.classify(faq) }));
+        const affected = impacts.filter(impact => impact.status !== 'unchanged').length;
+        const counts = revision.diff.counts();
+        elements.revisionSummary.textContent = `(${affected} of ${impacts.length} FAQs affected)`;
+
+        elements.revisionReport.innerHTML = `
+            <p class="revision-stats">
+                Sentences: ${counts.unchanged} unchanged · ${counts.edited} edited · ${counts.removed} removed · ${counts.added} added
+            </p>
+            <ul class="revision-list">
+                ${impacts.map(({ faq, status, revised }) => `
+                    <li class="revision-item ${status}">
+                        <button class="card-tool" data-faq="${faq.number}">FAQ ${faq.number}</button>
+                        <span class="revision-question">${this.escapeHtml(faq.question)}</span>
+                        <span class="revision-status">${labels[status]}</span>
+                        ${revised ? `<p class="revision-text">Now: ${this.escapeHtml(revised)}</p>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+            <p class="revision-stats">
+                ${revision.suggestions.length ? 'Suggested FAQs for high-scoring added sentences' : 'No added sentence scores highly enough to suggest an FAQ.'}
+            </p>
+            <ul class="revision-list">
+                ${revision.suggestions.map((faq, index) => `
+                    <li class="revision-item added">
+                        <label class="inline-toggle">
+                            <input type="checkbox" data-suggestion="${index}" ${revision.selected.has(index) ? 'checked' : ''}>
+                            <span class="revision-question">${this.escapeHtml(faq.question)}</span>
+                        </label>
+                        <p class="revision-text">${this.escapeHtml(faq.reference)}</p>
+                    </li>
+                `).join('')}
+            </ul>
+            <div class="settings-actions">
+                <button class="action-btn" data-revision-action="apply" title="Replace the source with the revision, keep the FAQs with their status flagged and add the ticked suggestions">
+                    Use revised source
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Switch the workspace to the compared revision: unchanged FAQs follow their reference to its
+     * new offsets, edited and removed ones are kept and flagged, and ticked suggestions are added.
+     * The project is saved as a new one, so the previous version stays in the library.
+     */
+    async applyRevision() {
+        const revision = state.revision;
+        if (!revision || revision.oldText !== state.sourceText) return;
+
+        const { diff, upload } = revision;
+        const impacts = state.faqs.map(faq => ({ faq, ...diff.classify(faq) }));
+
+        if (upload) {
+            state.files = [{
+                id: ++this.nextFileId,
+                file: upload.file,
+                name: upload.file.name,
+                size: upload.file.size,
+                status: 'ready',
+                text: revision.text,
+                segments: upload.segments,
+                json: upload.json || null,
+                error: null
+            }];
+            state.pastedDocument = null;
+            this.renderFileList();
+            this.rebuildCorpus();
+        } else {
+            elements.sourceDocument.value = revision.text;
+        }
+
+        state.sourceText = revision.text;
+        state.sourceCorpus = this.resolveSourceCorpus();
+        state.analyzer = diff.newAnalyzer;
+        state.generator = null;
+        state.skippedSentences = new Set();
+
+        const tracker = new ReferenceTracker(state.sourceText);
+        const checkedAt = new Date().toISOString();
+        impacts.forEach(({ faq, status, near, revised }) => {
+            const check = status === 'unchanged'
+                ? tracker.track(faq, near)
+                : { previousSpan: { ...faq.referenceSpan }, revised };
+            faq.referenceCheck = { ...check, status, checkedAt };
+            faq.source = status === 'unchanged' ? state.sourceCorpus.describeSpan(faq.referenceSpan) : null;
+        });
+
+        const added = revision.suggestions.filter((faq, index) => revision.selected.has(index));
+        added.forEach(faq => {
+            faq.source = state.sourceCorpus.describeSpan(faq.referenceSpan);
+            state.faqs.push(faq);
+        });
+        state.faqs.forEach((faq, index) => {
+            faq.number = index + 1;
+        });
+        new FAQVerifier(diff.newAnalyzer).verifyAll(state.faqs);
+
+        state.revision = null;
+        this.updateCharCount();
+        this.validateInput();
+        this.renderFAQs();
+
+        const count = status => impacts.filter(impact => impact.status === status).length;
+        this.showToast(
+            `Switched to the revised source: ${count('unchanged')} FAQs unchanged, ${count('edited')} edited, ${count('removed')} removed, ${added.length} added`,
+            count('edited') || count('removed') ? 'warning' : 'success'
+        );
+
+        await this.saveProject();
+    }
+
+    /**
+     * Analyzer of the text currently in the source box, reusing the generation analyzer when it matches
+     */
+    getTopicAnalyzer() {
+        const text = elements.sourceDocument.value;
+        if (state.analyzer && state.analyzer.originalText === text) return state.analyzer;
+
+        return new TextAnalyzer(text, {
+            segments: this.resolveSourceCorpus(false, text).segments,
+            scoring: state.settings.scoring,
+            language: state.settings.language
+        });
+    }
+
+    scheduleTopicRefresh() {
+        clearTimeout(this.topicRefreshTimer);
+        this.topicRefreshTimer = setTimeout(() => this.renderTopics(), UI_CONFIG.TOPIC_REFRESH_DELAY);
+    }
+
+    /**
+     * List the key topics with their counts and occurrence links; only drawn while the panel is open
+     */
+    renderTopics() {
+        const selected = new Set(state.settings.topics);
+        elements.topicsSummary.textContent = selected.size
+            ? `(${selected.size} selected, one FAQ each)`
+            : '';
+        if (!elements.topicsPanel.open) return;
+
+        state.topics = elements.sourceDocument.value.trim() ? this.getTopicAnalyzer().extractTopics() : [];
+
+        // Chosen topics stay listed even when they drop out of the top of a changed text
+        const listed = new Set(state.topics.map(topic => topic.key));
+        const stale = state.settings.topics.filter(key => !listed.has(key));
+
+        elements.topicList.innerHTML = state.topics.map(topic => `
+            <li class="topic-item ${topic.kind}">
+                <label>
+                    <input type="checkbox" data-topic="${this.escapeHtml(topic.key)}" ${selected.has(topic.key) ? 'checked' : ''}>
+                    <span class="topic-label">${this.escapeHtml(topic.label)}</span>
+                    <span class="topic-count">×${topic.count}</span>
+                </label>
+                <span class="topic-links">
+                    ${topic.occurrences.slice(0, UI_CONFIG.TOPIC_OCCURRENCE_LINKS).map((occurrence, index) => `
+                        <button class="card-tool" data-occurrence-start="${occurrence.start}" data-occurrence-end="${occurrence.end}" title="Show occurrence ${index + 1}">${index + 1}</button>
+                    `).join('')}
+                </span>
+            </li>
+        `).join('') + stale.map(key => `
+            <li class="topic-item">
+                <label>
+                    <input type="checkbox" data-topic="${this.escapeHtml(key)}" checked>
+                    <span class="topic-label">${this.escapeHtml(key)}</span>
+                    <span class="topic-count">not among the current key topics</span>
+                </label>
+            </li>
+        `).join('') || '<li class="topic-empty">No recurring topics yet. Add more source text.</li>';
+    }
+
+    toggleTopic(key, selected) {
+        const topics = state.settings.topics.filter(topic => topic !== key);
+        state.settings.topics = selected ? [...topics, key] : topics;
+        this.renderTopics();
+    }
+
+    /**
+     * List every scored sentence with its factor breakdown; only drawn while the panel is open
+     */
+    renderCandidatePool() {
+        if (!state.sourceText) return;
+
+        const generator = this.getGenerator();
+        const candidates = generator.analyzer.scoreSentences();
+        const faqBySentence = new Map();
+        state.faqs.forEach(faq => {
+            const sentence = generator.findSentence(faq);
+            if (sentence) faqBySentence.set(sentence.index, faq.number);
+        });
+
+        elements.candidateSummary.textContent = `(${candidates.length} sentences, ${faqBySentence.size} in FAQs)`;
+        if (!elements.candidatePanel.open) return;
+
+        const { key, descending } = state.candidateSort;
+        const columns = [
+            { id: 'position', label: '#' },
+            { id: 'text', label: 'Sentence' },
+            { id: 'total', label: 'Score' },
+            ...CONFIG.SCORE_FACTORS
+        ];
+        elements.candidateHead.innerHTML = `<tr>${columns.map(column => `
+            <th data-sort="${column.id}" class="${column.id === key ? (descending ? 'sorted-desc' : 'sorted-asc') : ''}">${this.escapeHtml(column.label)}</th>
+        `).join('')}<th></th></tr>`;
+
+        const filter = elements.candidateFilter.value.trim().toLowerCase();
+        const status = elements.candidateStatusFilter.value;
+        const rank = new Map(candidates.map((sentence, index) => [sentence.index, index + 1]));
+        const value = sentence => {
+            if (key === 'position') return sentence.index;
+            if (key === 'text') return sentence.text.toLowerCase();
+            if (key === 'total') return sentence.importance;
+            return sentence.scoreBreakdown[key];
+        };
+
+        const rows = candidates
+            .filter(sentence => !filter || sentence.text.toLowerCase().includes(filter))
+            .filter(sentence => status === 'all' || (status === 'used') === faqBySentence.has(sentence.index))
+            .sort((a, b) => {
+                const order = value(a) < value(b) ? -1 : value(a) > value(b) ? 1 : 0;
+                return descending ? -order : order;
+            });
+
+        elements.candidateBody.innerHTML = rows.map(sentence => {
+            const faqNumber = faqBySentence.get(sentence.index);
+            return `
+                <tr class="${faqNumber ? 'in-faqs' : ''}">
+                    <td>${sentence.index + 1}</td>
+                    <td class="candidate-text" title="Rank ${rank.get(sentence.index)}">${this.escapeHtml(sentence.text)}</td>
+                    <td class="candidate-total">${sentence.importance.toFixed(2)}</td>
+                    ${CONFIG.SCORE_FACTORS.map(factor => `<td>${sentence.scoreBreakdown[factor.id] ? sentence.scoreBreakdown[factor.id].toFixed(2) : '–'}</td>`).join('')}
+                    <td>${faqNumber
+                        ? `<span class="candidate-used">FAQ ${faqNumber}</span>`
+                        : `<button class="card-tool" data-promote="${sentence.index}">Promote</button>`}</td>
+                </tr>
+            `;
+        }).join('') || `<tr><td colspan="${columns.length + 1}" class="candidate-empty">No candidates match the filter.</td></tr>`;
+    }
+
+    /**
+     * Add a candidate sentence to the FAQ set as the last FAQ
+     */
+    promoteCandidate(sentenceIndex) {
+        const generator = this.getGenerator();
+        const sentence = generator.analyzer.sentences[sentenceIndex];
+        const faq = sentence && generator.createFAQ(sentence, state.faqs.length + 1);
+
+        if (!faq) {
+            this.showToast('This sentence could not be turned into an FAQ', 'warning');
+            return;
+        }
+
+        faq.source = state.sourceCorpus ? state.sourceCorpus.describeSpan(faq.referenceSpan) : null;
+        state.faqs.push(faq);
+        this.commitFAQEdits([faq]);
+        this.showToast(`Promoted to FAQ ${faq.number}: ${faq.question}`, 'success');
+    }
+
+    updateTraceabilityNotice() {
+        const failed = state.faqs.filter(faq => faq.verification && faq.verification.status !== 'pass').length;
+
+        elements.traceabilityNotice.classList.toggle('failed', failed > 0);
+        elements.traceabilityText.textContent = failed > 0
+            ? `${failed} of ${state.faqs.length} FAQs failed or are excluded from source verification. Hover a badge for details.`
+            : `All ${state.faqs.length} FAQs are verified against the source document. Click any reference to highlight in source, or a numbered mark in the source to jump to its FAQ.`;
     }
 
     createFAQCard(faq) {
         const card = document.createElement('div');
-        card.className = 'faq-card';
+        const edited = faq.edits && faq.edits.length > 0;
+        card.className = `faq-card ${faq.pinned ? 'pinned' : ''}`;
+        card.dataset.faqNumber = faq.number;
+        card.style.setProperty('--faq-hue', this.getFAQHue(faq.number));
         card.innerHTML = `
-            <div class="faq-number">${faq.number}</div>
-            <h3 class="faq-question">${this.escapeHtml(faq.question)}</h3>
-            <p class="faq-answer">${this.escapeHtml(faq.answer)}</p>
+            <div class="faq-card-header">
+                <div class="faq-number">${faq.number}</div>
+                ${this.createVerificationBadge(faq.verification)}
+                ${this.createReferenceCheckBadge(faq.referenceCheck)}
+                ${edited ? `<span class="edited-badge" title="${this.escapeHtml(this.describeEdits(faq))}">Edited</span>` : ''}
+                ${faq.topic ? `<span class="topic-badge" title="Generated for this key topic">${this.escapeHtml(faq.topic)}</span>` : ''}
+                <div class="faq-card-tools">
+                    <button class="card-tool" data-card-action="up" title="Move up" ${faq.number === 1 ? 'disabled' : ''}>↑</button>
+                    <button class="card-tool" data-card-action="down" title="Move down" ${faq.number === state.faqs.length ? 'disabled' : ''}>↓</button>
+                    <button class="card-tool ${faq.pinned ? 'active' : ''}" data-card-action="pin" title="${faq.pinned ? 'Unpin' : 'Pin to keep this FAQ when regenerating'}">${faq.pinned ? 'Pinned' : 'Pin'}</button>
+                    <button class="card-tool" data-card-action="replace" title="Swap for the next-best sentence" ${faq.pinned ? 'disabled' : ''}>Replace</button>
+                    <button class="card-tool" data-card-action="select" title="Use the text selected in the source as the answer">Use selection</button>
+                    <button class="card-tool" data-card-action="delete" title="Delete FAQ">✕</button>
+                </div>
+            </div>
+            <h3 class="faq-question" contenteditable="true" spellcheck="true" title="Click to edit the question">${this.escapeHtml(faq.question)}</h3>
+            <p class="faq-answer ${faq.answerOrigin === 'typed' ? 'typed' : ''}" contenteditable="true" title="Select a span in the source and press Use selection; typed answers are unverified">${this.escapeHtml(faq.answer)}</p>
             <div class="faq-reference">
                 <div class="faq-reference-label">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -825,35 +2543,393 @@ class UIController {
                         <path d="M14 11a5 5 0 00-7.54-.54l-3 3a5 5 0 007.07 7.07l1.71-1.71"/>
                     </svg>
                     Source Reference
+                    ${faq.source && faq.source.fileName ? `<span class="faq-reference-location">${this.escapeHtml(this.formatSourceLocation(faq.source))}</span>` : ''}
                 </div>
-                <p class="faq-reference-text" data-reference="${this.escapeHtml(faq.reference)}">${this.escapeHtml(faq.reference)}</p>
+                <p class="faq-reference-text" data-start="${faq.referenceSpan.start}" data-end="${faq.referenceSpan.end}">${this.escapeHtml(faq.reference)}</p>
             </div>
         `;
 
         // Add click handler for reference highlighting
         const refText = card.querySelector('.faq-reference-text');
-        refText.addEventListener('click', () => this.highlightReference(faq.reference));
+        refText.addEventListener('click', () => this.highlightReference(faq));
+
+        this.bindCardEditing(card, faq);
 
         return card;
     }
 
-    highlightReference(reference) {
+    bindCardEditing(card, faq) {
+        card.querySelectorAll('[contenteditable]').forEach(field => {
+            // Enter commits a question; answers may not contain line breaks either
+            field.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    field.blur();
+                }
+            });
+        });
+
+        card.querySelector('.faq-question').addEventListener('blur', (e) => {
+            this.editQuestion(faq, e.target.textContent);
+        });
+        card.querySelector('.faq-answer').addEventListener('blur', (e) => {
+            this.typeAnswer(faq, e.target.textContent);
+        });
+
+        // Keep the source selection when pressing a tool button
+        card.querySelector('.faq-card-tools').addEventListener('mousedown', (e) => e.preventDefault());
+        card.querySelector('.faq-card-tools').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-card-action]');
+            if (!button) return;
+
+            // The field being edited keeps focus through the press; commit it before the card re-renders
+            if (card.contains(document.activeElement) && document.activeElement.matches('[contenteditable]')) {
+                document.activeElement.blur();
+            }
+
+            const actions = {
+                up: () => this.moveFAQ(faq, -1),
+                down: () => this.moveFAQ(faq, 1),
+                pin: () => this.togglePin(faq),
+                replace: () => this.replaceFAQ(faq),
+                select: () => this.answerFromSelection(faq),
+                delete: () => this.deleteFAQ(faq)
+            };
+            actions[button.dataset.cardAction]();
+        });
+    }
+
+    /**
+     * Record an edit on the FAQ; the first edit of a field keeps the generated value
+     */
+    recordEdit(faq, field, to, via) {
+        const originalKey = field === 'question' ? 'originalQuestion' : 'originalAnswer';
+        if (!(originalKey in faq)) faq[originalKey] = faq[field];
+
+        faq.edits = faq.edits || [];
+        faq.edits.push({ field, from: faq[field], to, via, editedAt: new Date().toISOString() });
+        faq[field] = to;
+    }
+
+    describeEdits(faq) {
+        return faq.edits
+            .map(edit => `${edit.field === 'question' ? 'Question' : 'Answer'} ${edit.via === 'selection' ? 're-selected' : 'edited'}: "${edit.from}" → "${edit.to}"`)
+            .join('\n');
+    }
+
+    /**
+     * Edited text is compared with whitespace collapsed: quoted answers keep the
+     * source's line breaks and runs of spaces, which the field displays as single spaces
+     */
+    static flattenWhitespace(text) {
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    editQuestion(faq, text) {
+        const question = UIController.flattenWhitespace(text);
+        if (question === UIController.flattenWhitespace(faq.question)) return;
+
+        if (!question) {
+            this.showToast('A question cannot be empty', 'warning');
+            this.renderFAQs();
+            return;
+        }
+
+        this.recordEdit(faq, 'question', question, 'typed');
+        this.commitFAQEdits([faq]);
+    }
+
+    /**
+     * Free-typed answers are kept but flagged unverified
+     */
+    typeAnswer(faq, text) {
+        const answer = UIController.flattenWhitespace(text);
+        // Leaving a hard-wrapped answer untouched is not an edit
+        if (answer === UIController.flattenWhitespace(faq.answer)) return;
+
+        if (!answer) {
+            this.showToast('An answer cannot be empty', 'warning');
+            this.renderFAQs();
+            return;
+        }
+
+        this.recordEdit(faq, 'answer', answer, 'typed');
+        faq.answerSpan = null;
+        faq.answerOrigin = 'typed';
+        this.commitFAQEdits([faq]);
+        this.showToast(`FAQ ${faq.number}: typed answers are not quoted from the source and are marked unverified`, 'warning');
+    }
+
+    /**
+     * Replace the answer with the span selected in the source textarea;
+     * the reference becomes the sentences that contain it
+     */
+    answerFromSelection(faq) {
+        const textarea = elements.sourceDocument;
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+
+        if (textarea.value !== state.sourceText) {
+            this.showToast('The source text changed after generation; regenerate before re-selecting answers', 'warning');
+            return;
+        }
+
+        // Trim surrounding whitespace from the selection
+        const selected = state.sourceText.slice(start, end);
+        const answerSpan = {
+            start: start + (selected.length - selected.trimStart().length),
+            end: end - (selected.length - selected.trimEnd().length)
+        };
+        if (answerSpan.end <= answerSpan.start) {
+            this.showToast('Select the answer text in the source document first', 'info');
+            return;
+        }
+
+        const analyzer = this.getAnalyzer();
+        const covering = analyzer.sentences.filter(sentence => sentence.start < answerSpan.end && sentence.end > answerSpan.start);
+        const referenceSpan = covering.length
+            ? {
+                start: Math.min(answerSpan.start, covering[0].start),
+                end: Math.max(answerSpan.end, covering[covering.length - 1].end)
+            }
+            : { ...answerSpan };
+        const segment = analyzer.segmentAt(referenceSpan.start);
+
+        this.recordEdit(faq, 'answer', state.sourceText.slice(answerSpan.start, answerSpan.end), 'selection');
+        faq.answerSpan = answerSpan;
+        faq.answerOrigin = 'selection';
+        faq.reference = state.sourceText.slice(referenceSpan.start, referenceSpan.end);
+        faq.referenceSpan = referenceSpan;
+        faq.headingPath = segment ? segment.headingPath : [];
+        faq.source = state.sourceCorpus ? state.sourceCorpus.describeSpan(referenceSpan) : null;
+        // The reference is chosen afresh, so a moved, missing, edited or removed flag no longer applies
+        delete faq.referenceCheck;
+
+        this.commitFAQEdits([faq]);
+        this.showToast(`FAQ ${faq.number} now answers from the selected source text`, 'success');
+    }
+
+    moveFAQ(faq, offset) {
+        const index = state.faqs.indexOf(faq);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= state.faqs.length) return;
+
+        [state.faqs[index], state.faqs[target]] = [state.faqs[target], state.faqs[index]];
+        this.commitFAQEdits();
+    }
+
+    togglePin(faq) {
+        faq.pinned = !faq.pinned;
+        this.commitFAQEdits();
+    }
+
+    /**
+     * Swap one FAQ for the next-ranked unused candidate
+     */
+    replaceFAQ(faq) {
+        const generator = this.getGenerator();
+        const replacement = generator.replacement(faq, state.faqs, state.skippedSentences);
+
+        if (!replacement) {
+            this.showToast('No other distinct sentence is left to replace this FAQ with', 'info');
+            return;
+        }
+
+        const current = generator.findSentence(faq);
+        if (current) state.skippedSentences.add(current.index);
+
+        replacement.source = state.sourceCorpus ? state.sourceCorpus.describeSpan(replacement.referenceSpan) : null;
+        state.faqs[state.faqs.indexOf(faq)] = replacement;
+        this.commitFAQEdits([replacement]);
+    }
+
+    deleteFAQ(faq) {
+        state.faqs = state.faqs.filter(item => item !== faq);
+        this.commitFAQEdits();
+        this.showToast(`Deleted FAQ: ${faq.question}`, 'info');
+    }
+
+    /**
+     * Analyzer for the current source, rebuilt after a project is reopened
+     */
+    getAnalyzer() {
+        if (!state.analyzer || state.analyzer.originalText !== state.sourceText) {
+            const corpus = state.sourceCorpus || this.resolveSourceCorpus();
+            state.analyzer = new TextAnalyzer(state.sourceText, {
+                segments: corpus.segments,
+                scoring: state.settings.scoring,
+                language: state.settings.language
+            });
+        }
+        return state.analyzer;
+    }
+
+    getGenerator() {
+        const analyzer = this.getAnalyzer();
+        if (!state.generator || state.generator.analyzer !== analyzer) {
+            state.generator = new FAQGenerator(analyzer, this.generatorOptions(analyzer.language));
+        }
+        return state.generator;
+    }
+
+    /**
+     * Renumber, re-verify the changed FAQs, redraw and save
+     */
+    commitFAQEdits(changed = []) {
+        state.faqs.forEach((faq, index) => {
+            faq.number = index + 1;
+        });
+
+        const verifier = new FAQVerifier(this.getAnalyzer());
+        changed.forEach(faq => {
+            faq.verification = verifier.verify(faq);
+        });
+
+        this.renderFAQs();
+        this.saveProject();
+    }
+
+    /**
+     * Cite a reference the way auditors expect, e.g. "handbook.pdf, page 12, Section 3.2 Leave"
+     */
+    formatSourceLocation(source) {
+        return FAQExporter.describeLocation(source);
+    }
+
+    createVerificationBadge(verification) {
+        if (!verification) return '';
+
+        const labels = { pass: 'Verified', fail: 'Verification failed', unverified: 'Unverified' };
+        const details = verification.checks
+            .map(check => `${check.passed ? '✓' : '✗'} ${check.label}: ${check.detail}`)
+            .join('\n');
+
+        return `
+            <span class="verify-badge ${verification.status}" title="${this.escapeHtml(details)}">
+                ${labels[verification.status]}
+            </span>
+        `;
+    }
+
+    /**
+     * Flag an imported FAQ whose reference moved or disappeared in the current source
+     */
+    createReferenceCheckBadge(check) {
+        if (!check || check.status === 'unchanged') return '';
+
+        const was = `characters ${check.previousSpan.start}-${check.previousSpan.end}`;
+        const labels = { moved: 'Moved', missing: 'Reference missing', edited: 'Reference edited', removed: 'Reference removed' };
+        const titles = {
+            moved: () => `Reference found ${Math.abs(check.shift)} characters ${check.shift < 0 ? 'earlier' : 'later'} than in the export (was ${was})`,
+            missing: () => `The quoted reference is no longer in the source (was ${was}); reselect an answer or delete this FAQ`,
+            edited: () => `The referenced sentence was revised and now reads: ${check.revised}`,
+            removed: () => `The referenced sentence was removed in the revision (was ${was}); reselect an answer or delete this FAQ`
+        };
+
+        return `
+            <span class="reference-check-badge ${check.status}" title="${this.escapeHtml(titles[check.status]())}">
+                ${labels[check.status]}
+            </span>
+        `;
+    }
+
+    highlightReference(faq) {
         const sourceText = elements.sourceDocument.value;
-        const index = sourceText.indexOf(reference);
+        const { start, end } = faq.referenceSpan;
+
+        if (faq.referenceCheck && CONFIG.STALE_REFERENCE_STATUSES.includes(faq.referenceCheck.status)) {
+            this.showToast('This reference is no longer in the source document', 'warning');
+            return;
+        }
+
+        // Offsets are only valid while the source is unchanged since generation
+        if (sourceText.slice(start, end) !== faq.reference) {
+            this.showToast('Source document changed since generation. Regenerate to update references.', 'warning');
+            return;
+        }
+
+        this.selectSourceSpan(start, end);
+        this.showToast('Reference highlighted in source document', 'success');
+    }
 
-        if (index !== -1) {
-            // Scroll to and select the reference in the textarea
-            elements.sourceDocument.focus();
-            elements.sourceDocument.setSelectionRange(index, index + reference.length);
+    /**
+     * Select a span of the source textarea and scroll it into view
+     */
+    selectSourceSpan(start, end) {
+        elements.sourceDocument.focus();
+        elements.sourceDocument.setSelectionRange(start, end);
+
+        const lineHeight = 24;
+        const charBeforeSpan = elements.sourceDocument.value.substring(0, start);
+        const lineNumber = (charBeforeSpan.match(/\n/g) || []).length;
+        elements.sourceDocument.scrollTop = lineNumber * lineHeight;
+    }
 
-            // Scroll the selection into view
-            const lineHeight = 24;
-            const charBeforeRef = sourceText.substring(0, index);
-            const lineNumber = (charBeforeRef.match(/\n/g) || []).length;
-            elements.sourceDocument.scrollTop = lineNumber * lineHeight;
+    /**
+     * Mark every referenced passage in the overlay, colour-coded by FAQ number
+     */
+    renderOverlay() {
+        const overlay = elements.highlightOverlay;
+        const sourceText = elements.sourceDocument.value;
 
-            this.showToast('Reference highlighted in source document', 'success');
+        // Offsets only apply to the exact text the FAQs were generated from
+        if (!state.faqs.length || sourceText !== state.sourceText) {
+            overlay.innerHTML = '';
+            return;
         }
+
+        // Missing, edited and removed references keep their old offsets, which point at unrelated text
+        const ranges = state.faqs
+            .filter(faq => !faq.referenceCheck || !CONFIG.STALE_REFERENCE_STATUSES.includes(faq.referenceCheck.status))
+            .map(faq => ({ ...faq.referenceSpan, number: faq.number }))
+            .sort((a, b) => a.start - b.start);
+
+        let html = '';
+        let cursor = 0;
+
+        ranges.forEach(range => {
+            const start = Math.max(range.start, cursor);
+            if (start >= range.end) return;
+
+            html += this.escapeHtml(sourceText.slice(cursor, start));
+            html += `<mark class="overlay-mark" style="--faq-hue: ${this.getFAQHue(range.number)}">` +
+                `<span class="overlay-mark-badge" data-faq="${range.number}" title="Go to FAQ ${range.number}">${range.number}</span>` +
+                `${this.escapeHtml(sourceText.slice(start, range.end))}</mark>`;
+            cursor = range.end;
+        });
+
+        // Trailing newline keeps the last line's height in step with the textarea
+        overlay.innerHTML = html + this.escapeHtml(sourceText.slice(cursor)) + '\n';
+        this.syncOverlayScroll();
+    }
+
+    syncOverlayScroll() {
+        const textarea = elements.sourceDocument;
+        const overlay = elements.highlightOverlay;
+
+        // Match the textarea's content width when it shows a scrollbar
+        const scrollbarWidth = textarea.offsetWidth - textarea.clientWidth - 2;
+        overlay.style.paddingRight = `calc(var(--space-lg) + ${Math.max(scrollbarWidth, 0)}px)`;
+        overlay.scrollTop = textarea.scrollTop;
+    }
+
+    focusFAQCard(number) {
+        const card = elements.faqGrid.querySelector(`[data-faq-number="${number}"]`);
+        if (!card) return;
+
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        card.classList.remove('pulse');
+        // Force reflow so the animation restarts on repeated clicks
+        void card.offsetWidth;
+        card.classList.add('pulse');
+        card.addEventListener('animationend', () => card.classList.remove('pulse'), { once: true });
+    }
+
+    /**
+     * Spread FAQ colours around the colour wheel using the golden angle
+     */
+    getFAQHue(number) {
+        return Math.round((number * 137.508) % 360);
     }
 
     copyAllFAQs() {
@@ -862,7 +2938,9 @@ class UIController {
         const text = state.faqs.map(faq =>
             `Q${faq.number}: ${faq.question}\n` +
             `A: ${faq.answer}\n` +
-            `Reference: "${faq.reference}"\n`
+            `Reference (${faq.source && faq.source.fileName
+                ? this.formatSourceLocation(faq.source)
+                : `chars ${faq.referenceSpan.start}-${faq.referenceSpan.end}`}): "${faq.reference}"\n`
         ).join('\n');
 
         navigator.clipboard.writeText(text).then(() => {
@@ -872,32 +2950,142 @@ class UIController {
         });
     }
 
-    exportFAQs() {
-        if (!state.faqs.length) return;
+    renderExportMenu() {
+        elements.exportMenu.innerHTML = UI_CONFIG.EXPORT_FORMATS.map(format => `
+            <button class="export-option" role="menuitem" data-export-format="${format.id}">
+                ${this.escapeHtml(format.label)} <span>.${format.extension}</span>
+            </button>
+        `).join('');
+    }
+
+    toggleExportMenu(open = elements.exportMenu.hidden) {
+        elements.exportMenu.hidden = !open;
+        elements.exportBtn.setAttribute('aria-expanded', String(open));
+    }
 
-        const exportData = {
+    /**
+     * Everything an export carries: generation settings, source files and each FAQ with its reference
+     */
+    buildExportData() {
+        return {
             generatedAt: new Date().toISOString(),
             sourceDocumentLength: state.sourceText.length,
+            sourceFiles: state.sourceCorpus.documents
+                .filter(doc => doc.name)
+                .map(doc => ({ name: doc.name, size: doc.size, start: doc.start, end: doc.end })),
+            faqCountSetting: state.settings.faqCount,
+            answerMode: state.settings.answerMode,
+            includeFollowUp: state.settings.includeFollowUp,
+            languageSetting: state.settings.language,
+            selectedTopics: state.settings.topics,
+            selectionMode: state.settings.selectionMode,
+            scoringPreset: state.settings.scoring ? state.settings.scoring.name : null,
+            coverage: this.getGenerator().coverageReport(state.faqs),
+            language: this.getAnalyzer().language,
+            targetFaqCount: state.targetCount,
             faqCount: state.faqs.length,
+            verifiedCount: state.faqs.filter(faq => faq.verification && faq.verification.status === 'pass').length,
+            editedCount: state.faqs.filter(faq => faq.edits && faq.edits.length).length,
             faqs: state.faqs.map(faq => ({
                 number: faq.number,
                 question: faq.question,
                 answer: faq.answer,
-                reference: faq.reference
+                answerSpan: faq.answerSpan,
+                answerOrigin: faq.answerOrigin || 'generated',
+                pinned: Boolean(faq.pinned),
+                reference: faq.reference,
+                referenceSpan: faq.referenceSpan,
+                headingPath: faq.headingPath,
+                topic: faq.topic,
+                source: faq.source,
+                referenceCheck: faq.referenceCheck,
+                verification: faq.verification,
+                originalQuestion: faq.originalQuestion,
+                originalAnswer: faq.originalAnswer,
+                edits: faq.edits || []
             }))
         };
+    }
+
+    exportFAQs(formatId = 'json') {
+        if (!state.faqs.length) return;
+
+        const format = UI_CONFIG.EXPORT_FORMATS.find(entry => entry.id === formatId);
+        if (format.report) return this.exportComplianceReport(format);
+
+        const content = new FAQExporter(this.buildExportData()).render(format.id);
+
+        this.downloadFile(content, `faqs-${Date.now()}.${format.extension}`, format.type);
+        this.showToast(`FAQs exported as ${format.label}!`, 'success');
+    }
 
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+    /**
+     * Hash the source and build the compliance report as a printable page (PDF) or a DOCX download
+     */
+    async exportComplianceReport(format) {
+        try {
+            const report = new ComplianceReport(this.buildExportData(), await this.hashSources());
+
+            if (format.report === 'pdf') {
+                this.printDocument(report.toHTML());
+                this.showToast('Choose "Save as PDF" in the print dialog to keep the report.', 'info');
+            } else {
+                this.downloadFile(new Blob([report.toDOCX()], { type: format.type }), `faq-report-${Date.now()}.docx`, format.type);
+                this.showToast('Compliance report exported as DOCX!', 'success');
+            }
+        } catch (error) {
+            console.error('Report export error:', error);
+            this.showToast(`Could not build the report: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * SHA-256 of the whole source text, and of each file's extracted text and original bytes
+     */
+    async hashSources() {
+        const documents = [];
+
+        for (const doc of state.sourceCorpus.documents.filter(item => item.name)) {
+            // Original bytes are only in memory for files uploaded this session
+            const entry = state.files.find(file => file.name === doc.name && file.text === doc.text && file.file);
+            documents.push({
+                name: doc.name,
+                size: doc.size,
+                textSha256: await ComplianceReport.sha256(doc.text),
+                fileSha256: entry ? await ComplianceReport.sha256(await entry.file.arrayBuffer()) : null
+            });
+        }
+
+        return { sourceText: await ComplianceReport.sha256(state.sourceText), documents };
+    }
+
+    /**
+     * Print an HTML document from a hidden frame, so no popup window is needed
+     */
+    printDocument(html) {
+        const frame = document.createElement('iframe');
+        frame.className = 'print-frame';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.addEventListener('load', () => {
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+            // Printing blocks until the dialog closes in most browsers; remove the frame afterwards
+            setTimeout(() => frame.remove(), 1000);
+        });
+        frame.srcdoc = html;
+        document.body.appendChild(frame);
+    }
+
+    downloadFile(content, fileName, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `faqs-${Date.now()}.json`;
+        a.download = fileName;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
-
-        this.showToast('FAQs exported as JSON!', 'success');
     }
 
     showToast(message, type = 'info') {
@@ -910,7 +3098,9 @@ class UIController {
                 ? '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/></svg>'
                 : '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="12"/><line x1="12" y1="8" x2="12.01" y2="8"/></svg>';
 
-        toast.innerHTML = `${icon}<span>${message}</span>`;
+        // Messages quote document text, file and project names, so they are never parsed as markup
+        toast.innerHTML = `${icon}<span></span>`;
+        toast.querySelector('span').textContent = message;
         elements.toastContainer.appendChild(toast);
 
         // Auto remove
@@ -923,7 +3113,8 @@ class UIController {
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // Quotes too, so the result is safe inside attribute values
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
     delay(ms) {
@@ -931,6 +3122,9 @@ class UIController {
     }
 }
 
+// The page only loads the module; tests drive the controller directly
+export { UIController };
+
 // ===================================
 // INITIALIZE
 // ===================================
@@ -0,0 +1,20 @@
+/**
+ * Clause-mode answers: the smallest clause carrying the question's terms, kept verbatim.
+ * Run with: node --test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TextAnalyzer, FAQGenerator } from '../faq-engine.mjs';
+
+const clauseAnswers = [
+    ['In 2024, employees must request approval, which takes two days.', 'employees must request approval'],
+    ['Training is mandatory for new hires, which ensures that everyone understands the safety rules.',
+        'Training is mandatory for new hires, which ensures that everyone understands the safety rules']
+];
+
+for (const [text, expected] of clauseAnswers) {
+    test(text, () => {
+        const faq = new FAQGenerator(new TextAnalyzer(text), { answerMode: 'clause' }).generate(1)[0];
+        assert.equal(faq.answer, expected);
+    });
+}
@@ -0,0 +1,56 @@
+/**
+ * Committing FAQ card edits in UIController, without a page: the module only
+ * needs the globals it reads while loading.
+ * Run with: node --test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.document = { getElementById: () => null, addEventListener() {} };
+globalThis.window = { addEventListener() {} };
+globalThis.localStorage = { getItem: () => null, setItem() {} };
+
+const { UIController } = await import('../index.js');
+
+// A controller that records what an edit would commit and announce
+const controller = () => {
+    const ui = Object.create(UIController.prototype);
+    ui.committed = [];
+    ui.toasts = [];
+    ui.commitFAQEdits = faqs => ui.committed.push(...faqs);
+    ui.showToast = (message, type) => ui.toasts.push(type);
+    return ui;
+};
+
+const wrappedFAQ = () => ({
+    number: 1,
+    question: 'What must employees request?',
+    answer: 'Employees must request remote work approval\nfrom their manager  at least two weeks in advance.',
+    answerSpan: { start: 0, end: 95 },
+    answerOrigin: 'generated',
+    edits: []
+});
+
+test('leaving a hard-wrapped answer unchanged makes no edit', () => {
+    const ui = controller();
+    const faq = wrappedFAQ();
+    ui.typeAnswer(faq, 'Employees must request remote work approval from their manager at least two weeks in advance.');
+
+    assert.equal(faq.answerOrigin, 'generated');
+    assert.deepEqual(faq.answerSpan, { start: 0, end: 95 });
+    assert.equal(faq.edits.length, 0);
+    assert.equal(ui.committed.length, 0);
+    assert.equal(ui.toasts.length, 0);
+});
+
+test('a changed answer is recorded as typed', () => {
+    const ui = controller();
+    const faq = wrappedFAQ();
+    ui.typeAnswer(faq, 'Ask your manager two weeks ahead.');
+
+    assert.equal(faq.answer, 'Ask your manager two weeks ahead.');
+    assert.equal(faq.answerOrigin, 'typed');
+    assert.equal(faq.answerSpan, null);
+    assert.equal(faq.edits.length, 1);
+    assert.deepEqual(ui.toasts, ['warning']);
+});
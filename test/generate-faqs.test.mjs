@@ -0,0 +1,35 @@
+/**
+ * The headless generateFAQs API.
+ * Run with: node --test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, generateFAQs } from '../faq-engine.mjs';
+
+const text = [
+    'The Remote Work Policy applies to all full-time employees of Acme Corp.',
+    'Employees must request remote work approval from their manager at least two weeks in advance.',
+    'The company provides a monthly stipend of $50 for internet costs.',
+    'Managers can approve up to three remote days per week.',
+    'Security training is essential for anyone accessing company systems from home.',
+    'The IT department offers laptops, monitors and headsets on request.',
+    'Violations of this policy may result in disciplinary action.',
+    'Part-time staff are eligible after six months of service.'
+].join(' ');
+
+test('returns the requested number of FAQs', () => {
+    assert.equal(generateFAQs(text, { count: 3 }).faqs.length, 3);
+    assert.equal(generateFAQs(text).faqs.length, CONFIG.FAQ_COUNT);
+});
+
+test("'auto' picks a count from the document", () => {
+    const { faqs, targetCount } = generateFAQs(text, { count: 'auto' });
+    assert.ok(targetCount >= CONFIG.AUTO_FAQ_MIN);
+    assert.equal(faqs.length, targetCount);
+});
+
+test('rejects counts that are not a whole number in range', () => {
+    for (const count of ['3', 0, -2, 2.5, NaN, CONFIG.FAQ_COUNT_MAX + 1, null]) {
+        assert.throws(() => generateFAQs(text, { count }), /FAQ count must be/, String(count));
+    }
+});
@@ -0,0 +1,25 @@
+/**
+ * Questions generated for single English sentences by the template patterns.
+ * Run with: node --test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TextAnalyzer, FAQGenerator } from '../faq-engine.mjs';
+
+const ask = text => new FAQGenerator(new TextAnalyzer(text)).generate(1)[0]?.question;
+
+const cases = [
+    ['Employees must request approval from their manager in advance.', 'What must employees request?'],
+    ['Remote work is defined as work performed away from the office.', 'What is remote work?'],
+    ['Data is stored in encrypted form on our servers.', 'How is data stored?'],
+    ['Customer data is never sold to third parties.', 'Is customer data sold?'],
+    ['Expenses must be approved by a manager before travel.', 'How must expenses be approved?'],
+    ['Passwords should never be shared with anyone outside the team.', 'Should passwords be shared?'],
+    ['Although the office is closed on Fridays, employees must submit timesheets by noon.', 'What must employees submit?'],
+    // No template applies; the fallback still drops the sentence-initial capital
+    ['Weekly reports will go to the director.', 'What should be known about weekly reports?']
+];
+
+for (const [text, expected] of cases) {
+    test(text, () => assert.equal(ask(text), expected));
+}
@@ -0,0 +1,37 @@
+/**
+ * Re-locating FAQ references in a revised source with ReferenceTracker.
+ * Run with: node --test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReferenceTracker } from '../faq-engine.mjs';
+
+const source = 'Intro line.\nEmployees must request approval\nfrom their manager. Managers reply within a week.';
+
+const faqFor = (reference, start = 0) => ({
+    reference,
+    referenceSpan: { start, end: start + reference.length },
+    answer: reference,
+    answerSpan: { start, end: start + reference.length }
+});
+
+test('a reference that moved is found at its new offset', () => {
+    const faq = faqFor('Managers reply within a week.');
+    assert.equal(new ReferenceTracker(source).track(faq).status, 'moved');
+    assert.equal(source.slice(faq.referenceSpan.start, faq.referenceSpan.end), 'Managers reply within a week.');
+});
+
+test('a rewrapped reference is found despite its changed whitespace', () => {
+    const faq = faqFor('Employees must request approval from their manager.', 40);
+    assert.equal(new ReferenceTracker(source).track(faq).status, 'moved');
+    assert.equal(faq.reference, 'Employees must request approval\nfrom their manager.');
+});
+
+test('empty and whitespace-only references are missing, not searched for', () => {
+    const tracker = new ReferenceTracker(source);
+    assert.equal(tracker.locate('', 0), null);
+    assert.equal(tracker.locate(' \n ', 0), null);
+    // As imported: offsets kept, reference text lost
+    const faq = { ...faqFor('', 12), referenceSpan: { start: 12, end: 63 } };
+    assert.equal(tracker.track(faq).status, 'missing');
+});
@@ -0,0 +1,46 @@
+/**
+ * Reference corpus for SentenceSegmenter: each case lists the sentences a text must split into.
+ * Run with: node --test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SentenceSegmenter } from '../faq-engine.mjs';
+
+const split = (text, language = 'en') => new SentenceSegmenter(language)
+    .split(text)
+    .map(span => text.slice(span.start, span.end).trim())
+    .filter(Boolean);
+
+const corpus = [
+    ['en', 'Call Dr. Smith today. He is in.', ['Call Dr. Smith today.', 'He is in.']],
+    ['en', 'Use tools, e.g. hammers. Then rest.', ['Use tools, e.g. hammers.', 'Then rest.']],
+    ['en', 'Bring pens, paper etc. Then sit.', ['Bring pens, paper etc.', 'Then sit.']],
+    ['en', 'Pi is 3.14 exactly. Next.', ['Pi is 3.14 exactly.', 'Next.']],
+    ['en', 'See https://example.com/a.b?x=1 now. Done.', ['See https://example.com/a.b?x=1 now.', 'Done.']],
+    ['en', 'Written by J. R. R. Tolkien. Read it.', ['Written by J. R. R. Tolkien.', 'Read it.']],
+    ['en', 'Based in the U.S. since 1990. It grew.', ['Based in the U.S. since 1990.', 'It grew.']],
+    ['en', 'Open 9 a.m. to 5 p.m. Closed Sundays.', ['Open 9 a.m. to 5 p.m.', 'Closed Sundays.']],
+    ['en', 'Sales rose. 2024 was a record.', ['Sales rose.', '2024 was a record.']],
+    ['en', 'He left. "Stop," she said.', ['He left.', '"Stop," she said.']],
+    ['en', 'She asked "Why?" and left. Fine.', ['She asked "Why?" and left.', 'Fine.']],
+    ['en', 'Wait... then go. Now.', ['Wait... then go.', 'Now.']],
+    ['en', 'Steps:\n1. Install it\n2. Run it', ['Steps:', 'Install it', 'Run it']],
+    ['en', 'Perks:\n- Laptop\n- Stipend', ['Perks:', 'Laptop', 'Stipend']],
+    ['en', 'One line\nwrapped here. Next.', ['One line\nwrapped here.', 'Next.']],
+    ['en', 'First paragraph\n\nSecond paragraph', ['First paragraph', 'Second paragraph']],
+    ['en', 'Is overtime paid? No. Staff must log hours.', ['Is overtime paid?', 'No.', 'Staff must log hours.']],
+    ['en', 'See form No. 12 for details. Then sign.', ['See form No. 12 for details.', 'Then sign.']],
+    ['en', 'Breaks last 30 min. Employees must clock out.', ['Breaks last 30 min.', 'Employees must clock out.']],
+    ['en', 'Expect approx. 20 guests. Book early.', ['Expect approx. 20 guests.', 'Book early.']],
+    ['en', 'Staff work in the U.S. Our headquarters are in Ohio.', ['Staff work in the U.S.', 'Our headquarters are in Ohio.']],
+    ['en', 'He joined the U.S. Army in 1990. He served.', ['He joined the U.S. Army in 1990.', 'He served.']],
+    ['de', 'Die Regel gilt z. B. am 1. Januar. Gut.', ['Die Regel gilt z. B. am 1. Januar.', 'Gut.']],
+    ['hi', 'यह नियम है। सभी पालन करें।', ['यह नियम है।', 'सभी पालन करें।']],
+    ['es', 'Lo dijo el Sr. Pérez. ¿Vienes? Sí.', ['Lo dijo el Sr. Pérez.', '¿Vienes?', 'Sí.']]
+];
+
+corpus.forEach(([language, text, expected]) => {
+    test(`${language}: ${JSON.stringify(text)}`, () => {
+        assert.deepEqual(split(text, language), expected);
+    });
+});
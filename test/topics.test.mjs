@@ -0,0 +1,20 @@
+/**
+ * Key topics extracted by TextAnalyzer.
+ * Run with: node --test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TextAnalyzer } from '../faq-engine.mjs';
+
+const text = 'Managers approve two remote days per week. Staff get two remote days per week at most. ' +
+    'Remote days per week are logged. Two managers review the log.';
+const keys = new TextAnalyzer(text).extractTopics().map(topic => topic.key);
+
+test('phrases begin and end on a content word', () => {
+    assert.ok(keys.includes('remote days'));
+    assert.ok(!keys.some(key => /^(?:two|per)\b|\b(?:two|per)$/.test(key)), keys.join(', '));
+});
+
+test('numbers are not topics', () => {
+    assert.ok(!keys.includes('two'));
+});